@@ -0,0 +1,23 @@
+import { createHash, timingSafeEqual } from "node:crypto";
+
+/* =========================
+   Admin API authentication
+   Admin routes expose callers' transcripts, so they need a bearer token (ADMIN_API_TOKEN).
+   Without one configured the routes are switched off rather than left open.
+========================= */
+
+// Hash both sides so the comparison takes the same time whatever the lengths
+function sameToken(given, expected) {
+  const digest = (value) => createHash("sha256").update(value).digest();
+  return timingSafeEqual(digest(given), digest(expected));
+}
+
+export function adminAuthMiddleware({ token }) {
+  return (req, res, next) => {
+    if (!token) return res.status(404).json({ error: "Admin API is not enabled" });
+
+    const given = (req.get("authorization") || "").replace(/^Bearer\s+/i, "");
+    if (given && sameToken(given, token)) return next();
+    return res.status(401).json({ error: "Unauthorised" });
+  };
+}
@@ -0,0 +1,47 @@
+import { addDays, londonTime, londonToday, weekdayOf } from "./dates.js";
+
+/* =========================
+   Business hours and bank holidays (Europe/London)
+   A calendar is { hours, holidays }: hours has one { open, close } per weekday as "HH:MM", or null
+   when closed all day (config/business-hours.json); holidays maps "YYYY-MM-DD" to the holiday's
+   name (data/bank-holidays.json). The office is closed on bank holidays and no cleans are booked.
+========================= */
+
+export const WEEKDAY_NAMES = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+
+// Hours for a "YYYY-MM-DD" date, or null if the office is closed that day
+export function hoursOn(calendar, iso) {
+  if (calendar.holidays.has(iso)) return null;
+  return calendar.hours[WEEKDAY_NAMES[weekdayOf(iso)]] || null;
+}
+
+export function isWorkingDay(calendar, iso) {
+  return hoursOn(calendar, iso) !== null;
+}
+
+// The first working day on or after iso, looking up to a fortnight ahead
+export function nextWorkingDay(calendar, iso) {
+  for (let i = 0, day = iso; i < 14; i++, day = addDays(day, 1)) {
+    if (isWorkingDay(calendar, day)) return day;
+  }
+  return null;
+}
+
+export function isOpen(calendar, now = new Date()) {
+  const today = hoursOn(calendar, londonToday(now));
+  if (!today) return false;
+
+  // "HH:MM" strings compare correctly as text
+  const time = londonTime(now);
+  return time >= today.open && time < today.close;
+}
+
+// When the office next opens: { date, time }, or null if it stays closed for a fortnight
+export function nextOpening(calendar, now = new Date()) {
+  const today = londonToday(now);
+  const hours = hoursOn(calendar, today);
+  if (hours && londonTime(now) < hours.open) return { date: today, time: hours.open };
+
+  const date = nextWorkingDay(calendar, addDays(today, 1));
+  return date ? { date, time: hoursOn(calendar, date).open } : null;
+}
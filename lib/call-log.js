@@ -0,0 +1,138 @@
+import { mkdir, readFile, readdir, rename, rm, writeFile } from "node:fs/promises";
+import path from "node:path";
+
+/* =========================
+   Call log (admin history)
+   Call state is dropped when a call ends; the call log keeps a record of every call for the admin
+   API. Same async interface for both backends:
+     save(record)            record.call_sid is the key; saving again replaces it
+     get(callSid) -> record | null
+     list() -> records, newest first
+     sweep() -> number of records past retention
+     close()
+   Records older than retentionMs (by started_at) are removed.
+========================= */
+
+const DEFAULT_RETENTION_MS = 90 * 24 * 60 * 60 * 1000;
+const DEFAULT_SWEEP_MS = 60 * 60 * 1000;
+const MAX_MEMORY_RECORDS = 5000;
+
+function isExpired(record, retentionMs, now = Date.now()) {
+  return now - Date.parse(record.started_at) > retentionMs;
+}
+
+function newestFirst(a, b) {
+  return b.started_at.localeCompare(a.started_at);
+}
+
+function startSweeper(log, sweepMs) {
+  const timer = setInterval(() => {
+    log.sweep().catch(() => {});
+  }, sweepMs);
+  timer.unref();
+  return timer;
+}
+
+export function createMemoryCallLog({ retentionMs = DEFAULT_RETENTION_MS, sweepMs = DEFAULT_SWEEP_MS } = {}) {
+  const records = new Map();
+
+  const log = {
+    async save(record) {
+      records.delete(record.call_sid);
+      records.set(record.call_sid, record);
+
+      // Oldest insertions go first once the cap is reached
+      if (records.size > MAX_MEMORY_RECORDS) records.delete(records.keys().next().value);
+    },
+
+    async get(callSid) {
+      return records.get(callSid) || null;
+    },
+
+    async list() {
+      return [...records.values()].sort(newestFirst);
+    },
+
+    async sweep() {
+      let removed = 0;
+      for (const [callSid, record] of records) {
+        if (!isExpired(record, retentionMs)) continue;
+        records.delete(callSid);
+        removed++;
+      }
+      return removed;
+    },
+
+    close() {
+      clearInterval(timer);
+    },
+  };
+
+  const timer = startSweeper(log, sweepMs);
+  return log;
+}
+
+// One JSON file per call, alongside the file state store
+export function createFileCallLog({ dir, retentionMs = DEFAULT_RETENTION_MS, sweepMs = DEFAULT_SWEEP_MS } = {}) {
+  const ready = mkdir(dir, { recursive: true });
+  const fileFor = (callSid) => path.join(dir, `${String(callSid).replace(/[^A-Za-z0-9_-]/g, "_")}.json`);
+
+  async function readRecord(file) {
+    try {
+      return JSON.parse(await readFile(file, "utf8"));
+    } catch {
+      return null;
+    }
+  }
+
+  async function readAll() {
+    await ready;
+    const names = (await readdir(dir)).filter((name) => name.endsWith(".json"));
+    const records = await Promise.all(names.map((name) => readRecord(path.join(dir, name))));
+    return records.filter(Boolean);
+  }
+
+  const log = {
+    async save(record) {
+      await ready;
+      const file = fileFor(record.call_sid);
+      const tmp = `${file}.${process.pid}.tmp`;
+      await writeFile(tmp, JSON.stringify(record));
+      await rename(tmp, file);
+    },
+
+    async get(callSid) {
+      await ready;
+      return readRecord(fileFor(callSid));
+    },
+
+    async list() {
+      return (await readAll()).sort(newestFirst);
+    },
+
+    async sweep() {
+      let removed = 0;
+      for (const record of await readAll()) {
+        if (!isExpired(record, retentionMs)) continue;
+        await rm(fileFor(record.call_sid), { force: true });
+        removed++;
+      }
+      return removed;
+    },
+
+    close() {
+      clearInterval(timer);
+    },
+  };
+
+  const timer = startSweeper(log, sweepMs);
+  return log;
+}
+
+export function createCallLog({ kind = "memory", dir, retentionDays } = {}) {
+  const retentionMs = Number(retentionDays) > 0 ? Number(retentionDays) * 24 * 60 * 60 * 1000 : DEFAULT_RETENTION_MS;
+
+  if (kind === "file") return createFileCallLog({ dir: dir || ".data/call-log", retentionMs });
+  if (kind === "memory") return createMemoryCallLog({ retentionMs });
+  throw new Error(`Unknown CALL_LOG "${kind}". Use "memory" or "file".`);
+}
@@ -0,0 +1,44 @@
+/* =========================
+   Circuit breaker
+   Stops calling a dependency that keeps failing. After failureThreshold failures in a row the
+   circuit opens and canRequest() is false for cooldownMs; then one trial request is let through,
+   and its result either closes the circuit or opens it for another cooldown. The caller decides
+   what counts as a failure (errors, and responses too slow to be useful).
+     canRequest() -> boolean
+     success()
+     failure()
+     state() -> "closed" | "open" | "half_open"
+========================= */
+
+export function createCircuitBreaker({ failureThreshold = 3, cooldownMs = 60_000, now = Date.now } = {}) {
+  let failures = 0;
+  let openedAt = null;
+  let trialInFlight = false;
+
+  return {
+    canRequest() {
+      if (openedAt === null) return true;
+      if (trialInFlight || now() - openedAt < cooldownMs) return false;
+
+      trialInFlight = true;
+      return true;
+    },
+
+    success() {
+      failures = 0;
+      openedAt = null;
+      trialInFlight = false;
+    },
+
+    failure() {
+      failures += 1;
+      trialInFlight = false;
+      if (openedAt !== null || failures >= failureThreshold) openedAt = now();
+    },
+
+    state() {
+      if (openedAt === null) return "closed";
+      return trialInFlight || now() - openedAt >= cooldownMs ? "half_open" : "open";
+    },
+  };
+}
@@ -0,0 +1,20 @@
+/* =========================
+   CSV export
+   RFC 4180 quoting. Cells that a spreadsheet would run as a formula are prefixed with a quote mark,
+   since transcripts contain whatever the caller said. Plain numbers ("+447700900123") are left alone.
+========================= */
+
+function cell(value) {
+  if (value === null || value === undefined) return "";
+
+  let text = typeof value === "object" ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@\t\r]/.test(text) && !/^[+-]?\d[\d .]*$/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// columns: [[header, row => value], ...]
+export function toCsv(rows, columns) {
+  const lines = [columns.map(([header]) => cell(header)).join(",")];
+  for (const row of rows) lines.push(columns.map(([, pick]) => cell(pick(row))).join(","));
+  return `${lines.join("\r\n")}\r\n`;
+}
@@ -0,0 +1,90 @@
+import { mkdir, readFile, rename, rm, writeFile } from "node:fs/promises";
+import path from "node:path";
+
+/* =========================
+   Customer store (returning callers)
+   What we remember about a caller between calls, keyed by their phone number. Same async interface
+   for both backends:
+     get(phone) -> record | null
+     save(phone, record)
+     close()
+   A record not saved again within retentionMs is forgotten the next time it is read.
+========================= */
+
+const DEFAULT_RETENTION_MS = 365 * 24 * 60 * 60 * 1000;
+const MAX_MEMORY_CUSTOMERS = 10000;
+
+function isExpired(record, retentionMs, now = Date.now()) {
+  return now - Date.parse(record.last_call_at) > retentionMs;
+}
+
+export function createMemoryCustomerStore({ retentionMs = DEFAULT_RETENTION_MS } = {}) {
+  const records = new Map();
+
+  return {
+    async get(phone) {
+      const record = records.get(phone);
+      if (!record) return null;
+
+      if (isExpired(record, retentionMs)) {
+        records.delete(phone);
+        return null;
+      }
+      return record;
+    },
+
+    async save(phone, record) {
+      records.delete(phone);
+      records.set(phone, record);
+
+      // Least recently saved go first once the cap is reached
+      if (records.size > MAX_MEMORY_CUSTOMERS) records.delete(records.keys().next().value);
+    },
+
+    close() {},
+  };
+}
+
+// One JSON file per phone number
+export function createFileCustomerStore({ dir, retentionMs = DEFAULT_RETENTION_MS } = {}) {
+  const ready = mkdir(dir, { recursive: true });
+  const fileFor = (phone) => path.join(dir, `${String(phone).replace(/[^A-Za-z0-9_-]/g, "_")}.json`);
+
+  return {
+    async get(phone) {
+      await ready;
+      const file = fileFor(phone);
+
+      let record;
+      try {
+        record = JSON.parse(await readFile(file, "utf8"));
+      } catch {
+        return null;
+      }
+
+      if (isExpired(record, retentionMs)) {
+        await rm(file, { force: true });
+        return null;
+      }
+      return record;
+    },
+
+    async save(phone, record) {
+      await ready;
+      const file = fileFor(phone);
+      const tmp = `${file}.${process.pid}.tmp`;
+      await writeFile(tmp, JSON.stringify(record));
+      await rename(tmp, file);
+    },
+
+    close() {},
+  };
+}
+
+export function createCustomerStore({ kind = "memory", dir, retentionDays } = {}) {
+  const retentionMs = Number(retentionDays) > 0 ? Number(retentionDays) * 24 * 60 * 60 * 1000 : DEFAULT_RETENTION_MS;
+
+  if (kind === "file") return createFileCustomerStore({ dir: dir || ".data/customers", retentionMs });
+  if (kind === "memory") return createMemoryCustomerStore({ retentionMs });
+  throw new Error(`Unknown CUSTOMER_STORE "${kind}". Use "memory" or "file".`);
+}
@@ -0,0 +1,357 @@
+/* =========================
+   Booking dates (UK-style, Europe/London)
+   Dates are plain "YYYY-MM-DD" strings so nothing shifts with the server's own timezone.
+========================= */
+
+export const TIME_ZONE = "Europe/London";
+
+const WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+
+const MONTHS = [
+  "january",
+  "february",
+  "march",
+  "april",
+  "may",
+  "june",
+  "july",
+  "august",
+  "september",
+  "october",
+  "november",
+  "december",
+];
+
+const ORDINAL_WORDS = new Map([
+  ["first", 1],
+  ["second", 2],
+  ["third", 3],
+  ["fourth", 4],
+  ["fifth", 5],
+  ["sixth", 6],
+  ["seventh", 7],
+  ["eighth", 8],
+  ["ninth", 9],
+  ["tenth", 10],
+  ["eleventh", 11],
+  ["twelfth", 12],
+  ["thirteenth", 13],
+  ["fourteenth", 14],
+  ["fifteenth", 15],
+  ["sixteenth", 16],
+  ["seventeenth", 17],
+  ["eighteenth", 18],
+  ["nineteenth", 19],
+  ["twentieth", 20],
+  ["thirtieth", 30],
+]);
+
+const HOUR_WORDS = new Map([
+  ["one", 1],
+  ["two", 2],
+  ["three", 3],
+  ["four", 4],
+  ["five", 5],
+  ["six", 6],
+  ["seven", 7],
+  ["eight", 8],
+  ["nine", 9],
+  ["ten", 10],
+  ["eleven", 11],
+  ["twelve", 12],
+  ["noon", 12],
+  ["midday", 12],
+]);
+
+const NAMED_WINDOWS = [
+  [/early morning|first thing/, "08:00", "10:00", "early morning"],
+  [/morning|\bthe am\b/, "08:00", "12:00", "morning"],
+  [/lunch/, "12:00", "14:00", "lunchtime"],
+  [/afternoon|\bthe pm\b/, "12:00", "17:00", "afternoon"],
+  [/evening|after work/, "17:00", "20:00", "evening"],
+  [/any ?time|whenever|all day|don'?t mind/, "08:00", "18:00", "any time"],
+];
+
+const DAY_END = "18:00";
+const DAY_START = "08:00";
+
+function pad(n) {
+  return String(n).padStart(2, "0");
+}
+
+function isoDate(year, month, day) {
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+function splitIso(iso) {
+  const [year, month, day] = iso.split("-").map(Number);
+  return { year, month, day };
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+export function addDays(iso, days) {
+  const { year, month, day } = splitIso(iso);
+  const d = new Date(Date.UTC(year, month - 1, day + days));
+  return isoDate(d.getUTCFullYear(), d.getUTCMonth() + 1, d.getUTCDate());
+}
+
+// 0 = Sunday, matching Date#getDay
+export function weekdayOf(iso) {
+  const { year, month, day } = splitIso(iso);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+// Today's calendar date in London, whatever timezone the server runs in.
+export function londonToday(now = new Date()) {
+  const parts = new Intl.DateTimeFormat("en-GB", {
+    timeZone: TIME_ZONE,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).formatToParts(now);
+
+  const get = (type) => Number(parts.find((p) => p.type === type).value);
+  return isoDate(get("year"), get("month"), get("day"));
+}
+
+// Current London wall-clock time as "HH:MM"
+export function londonTime(now = new Date()) {
+  return new Intl.DateTimeFormat("en-GB", {
+    timeZone: TIME_ZONE,
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  }).format(now);
+}
+
+function dayNumber(token) {
+  const m = /^(\d{1,2})(st|nd|rd|th)?$/.exec(token);
+  if (m) return Number(m[1]);
+  return ORDINAL_WORDS.get(token) ?? null;
+}
+
+function monthNumber(token) {
+  const i = MONTHS.findIndex((name) => token === name || (token.length >= 3 && name.startsWith(token)));
+  return i >= 0 ? i + 1 : null;
+}
+
+// A day with no year: this year unless it has already gone, then next year.
+function nextDayMonth(today, day, month) {
+  const { year } = splitIso(today);
+  for (const y of [year, year + 1]) {
+    if (day > daysInMonth(y, month)) continue;
+    const iso = isoDate(y, month, day);
+    if (iso >= today) return iso;
+  }
+  return null;
+}
+
+// A day with no month: this month unless it has already gone, then next month.
+function nextDayOfMonth(today, day) {
+  let { year, month } = splitIso(today);
+  for (let i = 0; i < 3; i++) {
+    if (day <= daysInMonth(year, month)) {
+      const iso = isoDate(year, month, day);
+      if (iso >= today) return iso;
+    }
+    month += 1;
+    if (month > 12) {
+      month = 1;
+      year += 1;
+    }
+  }
+  return null;
+}
+
+function nextWeekday(today, weekday, weeksAhead = 0) {
+  const diff = (weekday - weekdayOf(today) + 7) % 7 || 7;
+  return addDays(today, diff + weeksAhead * 7);
+}
+
+function dayAt(tokens, i) {
+  const tens = { twenty: 20, thirty: 30 }[tokens[i - 1]];
+  const unit = ORDINAL_WORDS.get(tokens[i] || "");
+  if (tens && unit && unit < 10) return { day: tens + unit, used: [i - 1, i] };
+
+  const day = dayNumber(tokens[i] || "");
+  return day === null ? null : { day, used: [i] };
+}
+
+function dayAfter(tokens, i) {
+  const j = tokens[i + 1] === "the" ? i + 2 : i + 1;
+  if ({ twenty: 1, thirty: 1 }[tokens[j]]) return dayAt(tokens, j + 1);
+  return dayAt(tokens, j);
+}
+
+function without(tokens, used) {
+  return tokens.filter((_, k) => !used.includes(k)).join(" ");
+}
+
+/*
+Returns { date, rest } where rest is the text with the date wording removed (so "the 14th"
+is not mistaken for a time), or null. Day comes before month: "14/03" is the 14th of March.
+A date given with a year that has already passed comes back with date null so it is asked again.
+"Next Tuesday" is the coming Tuesday; "Tuesday week" or "Tuesday next week" is the one after.
+*/
+function parseDatePart(t, today) {
+  const slash = /\b(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?\b/.exec(t);
+  if (slash) {
+    const day = Number(slash[1]);
+    const month = Number(slash[2]);
+    let year = slash[3] ? Number(slash[3]) : null;
+    if (year !== null && year < 100) year += 2000;
+    if (month < 1 || month > 12 || day < 1) return null;
+
+    const rest = t.replace(slash[0], " ");
+    if (year === null) return { date: nextDayMonth(today, day, month), rest };
+    if (day > daysInMonth(year, month)) return null;
+    const date = isoDate(year, month, day);
+    return { date: date < today ? null : date, rest };
+  }
+
+  if (/\bday after tomorrow\b/.test(t)) return { date: addDays(today, 2), rest: t.replace("day after tomorrow", " ") };
+  if (/\btomorrow\b/.test(t)) return { date: addDays(today, 1), rest: t.replace("tomorrow", " ") };
+  if (/\btoday\b/.test(t)) return { date: today, rest: t.replace("today", " ") };
+
+  const tokens = t.split(/\s+/).filter(Boolean);
+
+  // "14th of March", "the twenty first of March", "March the 14th". "May" only counts next to a day.
+  for (let i = 0; i < tokens.length; i++) {
+    const month = monthNumber(tokens[i]);
+    if (month === null) continue;
+
+    const found = dayAt(tokens, tokens[i - 1] === "of" ? i - 2 : i - 1) || dayAfter(tokens, i);
+    if (!found) continue;
+    return { date: nextDayMonth(today, found.day, month), rest: without(tokens, [i, ...found.used]) };
+  }
+
+  for (let i = 0; i < tokens.length; i++) {
+    const weekday = WEEKDAYS.indexOf(tokens[i].replace(/s$/, ""));
+    if (weekday < 0) continue;
+
+    const following = tokens.slice(i + 1, i + 3).join(" ");
+    const weekOn = tokens[i - 1] === "on" && tokens[i - 2] === "week";
+    const weeksAhead = /^(week|next week)\b/.test(following) || weekOn ? 1 : 0;
+    return { date: nextWeekday(today, weekday, weeksAhead), rest: without(tokens, [i]) };
+  }
+
+  // "the 14th", "on the fourteenth", "the twenty first"
+  for (let i = 0; i < tokens.length; i++) {
+    const spelled = ORDINAL_WORDS.has(tokens[i]) && [tokens[i - 1], tokens[i - 2]].includes("the");
+    if (!/^\d{1,2}(st|nd|rd|th)$/.test(tokens[i]) && !spelled) continue;
+
+    const found = dayAt(tokens, i);
+    if (!found || found.day < 1 || found.day > 31) continue;
+    return { date: nextDayOfMonth(today, found.day), rest: without(tokens, found.used) };
+  }
+
+  return null;
+}
+
+function parseHour(raw, suffix) {
+  const m = /^(\d{1,2})(?::(\d{2}))?$/.exec(raw);
+  let hour = m ? Number(m[1]) : HOUR_WORDS.get(raw);
+  const minute = m && m[2] ? Number(m[2]) : 0;
+  if (hour === undefined || hour > 23 || minute > 59) return null;
+
+  if (suffix === "pm" && hour < 12) hour += 12;
+  else if (suffix === "am" && hour === 12) hour = 0;
+  else if (!suffix && hour >= 1 && hour <= 7) hour += 12; // "after two" on a cleaning booking means 2pm
+
+  return `${pad(hour)}:${pad(minute)}`;
+}
+
+const HOUR = "(\\d{1,2}(?::\\d{2})?|one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve|noon|midday)";
+const SUFFIX = "(am|pm|o'?clock)";
+const TIME = `${HOUR}\\s*${SUFFIX}?`;
+
+function suffixOf(raw) {
+  return raw === "am" || raw === "pm" ? raw : null;
+}
+
+function addHour(hhmm) {
+  const [h, m] = hhmm.split(":").map(Number);
+  return `${pad(Math.min(h + 1, 23))}:${pad(m)}`;
+}
+
+/*
+Returns { start, end, label } or null. Named parts of the day map to fixed windows;
+"after 2pm" runs to the end of the working day, "at 10" is a one-hour arrival window.
+*/
+export function parseTimeWindow(text) {
+  const t = String(text || "")
+    .toLowerCase()
+    .replace(/\ba\.? ?m\b\.?/g, "am")
+    .replace(/\bp\.? ?m\b\.?/g, "pm");
+
+  const between = new RegExp(`\\b(?:between|from)\\s+${TIME}\\s+(?:and|to|till|until)\\s+${TIME}`).exec(t);
+  if (between) {
+    const start = parseHour(between[1], suffixOf(between[2]) || suffixOf(between[4]));
+    const end = parseHour(between[3], suffixOf(between[4]));
+    if (start && end && start < end) return { start, end, label: `between ${spokenTime(start)} and ${spokenTime(end)}` };
+  }
+
+  const after = new RegExp(`\\b(?:after|from)\\s+${TIME}`).exec(t);
+  if (after) {
+    const start = parseHour(after[1], suffixOf(after[2]));
+    if (start && start < DAY_END) return { start, end: DAY_END, label: `after ${spokenTime(start)}` };
+  }
+
+  const before = new RegExp(`\\b(?:before|by)\\s+${TIME}`).exec(t);
+  if (before) {
+    const end = parseHour(before[1], suffixOf(before[2]));
+    if (end && end > DAY_START) return { start: DAY_START, end, label: `before ${spokenTime(end)}` };
+  }
+
+  const at = new RegExp(`\\b(?:at|around|about)\\s+${TIME}`).exec(t) || new RegExp(`\\b${HOUR}\\s*${SUFFIX}`).exec(t);
+  if (at) {
+    const start = parseHour(at[1], suffixOf(at[2]));
+    if (start) return { start, end: addHour(start), label: `at ${spokenTime(start)}` };
+  }
+
+  for (const [re, start, end, label] of NAMED_WINDOWS) {
+    if (re.test(t)) return { start, end, label: label === "any time" ? label : `in the ${label}` };
+  }
+
+  return null;
+}
+
+export function spokenTime(hhmm) {
+  const [h, m] = hhmm.split(":").map(Number);
+  if (h === 12 && m === 0) return "midday";
+  const hour12 = h % 12 || 12;
+  const suffix = h < 12 ? "am" : "pm";
+  return m ? `${hour12}:${pad(m)}${suffix}` : `${hour12}${suffix}`;
+}
+
+// Returns { date, window } (window may be null), or null when no date was heard.
+export function parseBookingRequest(text, now = new Date()) {
+  const t = String(text || "")
+    .toLowerCase()
+    .replace(/[,!?]|\.(?=\s|$)/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+  const today = londonToday(now);
+  const datePart = parseDatePart(t, today);
+  const window = parseTimeWindow(datePart ? datePart.rest : t);
+
+  if (!datePart || !datePart.date) return window ? { date: null, window } : null;
+  return { date: datePart.date, window };
+}
+
+function ordinalSuffix(day) {
+  if (day >= 11 && day <= 13) return "th";
+  return { 1: "st", 2: "nd", 3: "rd" }[day % 10] || "th";
+}
+
+// "Tuesday the 14th of October"
+export function spokenDate(iso) {
+  const { month, day } = splitIso(iso);
+  const weekday = WEEKDAYS[weekdayOf(iso)];
+  const cap = (s) => s[0].toUpperCase() + s.slice(1);
+  return `${cap(weekday)} the ${day}${ordinalSuffix(day)} of ${cap(MONTHS[month - 1])}`;
+}
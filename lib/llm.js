@@ -0,0 +1,95 @@
+import axios from "axios";
+
+/* =========================
+   LLM providers (AI enhancer backends)
+   Every provider has the same shape:
+     name
+     complete({ system, user, schema, current, utterance, services }) -> JSON text, or "" for no answer
+   current, utterance and services (the tenant's service catalogue) are only used by the rules provider.
+   The enhancer parses and validates whatever comes back, so every backend goes through the same
+   JSON schema and GetQuoteSchema checks. Errors (timeouts included) are thrown to the caller.
+========================= */
+
+const OPENAI_URL = "https://api.openai.com/v1/responses";
+
+// OpenAI Responses API with structured output
+export function createOpenAiProvider({ apiKey, model = "gpt-4o-mini", timeoutMs }) {
+  return {
+    name: "openai",
+
+    async complete({ system, user, schema }) {
+      const resp = await axios.post(
+        OPENAI_URL,
+        {
+          model,
+          input: [
+            { role: "system", content: system },
+            { role: "user", content: user },
+          ],
+          text: { format: { type: "json_schema", name: "quote_state", schema, strict: true } },
+          temperature: 0,
+        },
+        {
+          headers: { Authorization: `Bearer ${apiKey}`, "Content-Type": "application/json" },
+          timeout: timeoutMs,
+        }
+      );
+      return resp.data?.output_text || "";
+    },
+  };
+}
+
+// Chat Completions with a JSON schema response format, which self-hosted servers (vLLM, Ollama,
+// llama.cpp, LM Studio) accept as well as OpenAI. The API key is optional for local servers.
+export function createOpenAiCompatibleProvider({ baseUrl, apiKey = "", model, timeoutMs }) {
+  const url = `${baseUrl.replace(/\/+$/, "")}/chat/completions`;
+
+  return {
+    name: "openai-compatible",
+
+    async complete({ system, user, schema }) {
+      const resp = await axios.post(
+        url,
+        {
+          model,
+          messages: [
+            { role: "system", content: system },
+            { role: "user", content: user },
+          ],
+          response_format: { type: "json_schema", json_schema: { name: "quote_state", schema, strict: true } },
+          temperature: 0,
+        },
+        {
+          headers: { ...(apiKey && { Authorization: `Bearer ${apiKey}` }), "Content-Type": "application/json" },
+          timeout: timeoutMs,
+        }
+      );
+      return resp.data?.choices?.[0]?.message?.content || "";
+    },
+  };
+}
+
+// No model at all: extract(current, utterance, services) returns the fields it can pick out with fixed rules
+export function createRulesProvider({ extract }) {
+  return {
+    name: "rules",
+
+    async complete({ current, utterance, services }) {
+      return JSON.stringify({ ...current, ...extract(current, utterance, services) });
+    },
+  };
+}
+
+// Returns null when the enhancer is switched off, or left as "openai" with no API key
+export function createLlmProvider({ provider = "openai", apiKey, baseUrl, model, timeoutMs, extract }) {
+  if (provider === "off") return null;
+  if (provider === "rules") return createRulesProvider({ extract });
+  if (provider === "openai") return apiKey ? createOpenAiProvider({ apiKey, model, timeoutMs }) : null;
+
+  if (provider === "openai-compatible") {
+    if (!baseUrl || !model) throw new Error('LLM_PROVIDER "openai-compatible" needs LLM_BASE_URL and LLM_MODEL.');
+    return createOpenAiCompatibleProvider({ baseUrl, apiKey, model, timeoutMs });
+  }
+
+  throw new Error(`Unknown LLM_PROVIDER "${provider}". Use "openai", "openai-compatible", "rules" or "off".`);
+}
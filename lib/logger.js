@@ -0,0 +1,62 @@
+/* =========================
+   Structured logs
+   One JSON object per line on stdout: { time, level, event, ...fields }. Personal data is masked
+   before it is written (GDPR): phone numbers keep only their first three and last three characters
+   (+44*******123), postcodes only the district, names are dropped, and free text has phone
+   numbers and postcodes masked.
+========================= */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const PHONE_KEYS = new Set(["from", "to", "caller", "phone"]);
+const POSTCODE_KEYS = new Set(["postcode"]);
+const NAME_KEYS = new Set(["name"]);
+const TEXT_KEYS = new Set(["utterance", "transcript", "notes", "message"]);
+
+const FULL_POSTCODE = /\b([A-Z]{1,2}[0-9][A-Z0-9]?) ?[0-9][A-Z]{2}\b/gi;
+const PHONE_NUMBER = /\+?\d[\d ]{8,}\d/g;
+
+// "+447700900123" -> "+44*******123"; a "whatsapp:" prefix is kept
+export function maskPhone(value) {
+  const text = String(value || "");
+  return text.replace(/\+?\d[\d ]{5,}\d/g, (n) => {
+    const digits = n.replace(/ /g, "");
+    return `${digits.slice(0, 3)}${"*".repeat(Math.max(digits.length - 6, 0))}${digits.slice(-3)}`;
+  });
+}
+
+// "SW1A 1AA" -> "SW1A ***"
+export function maskPostcode(value) {
+  return String(value || "").replace(FULL_POSTCODE, "$1 ***");
+}
+
+export function redactText(value) {
+  return maskPostcode(String(value || "")).replace(PHONE_NUMBER, (n) => maskPhone(n));
+}
+
+export function redact(value, key = "") {
+  if (value === null || value === undefined) return value;
+  if (Array.isArray(value)) return value.map((v) => redact(v, key));
+
+  if (typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redact(v, k)]));
+  }
+
+  if (typeof value !== "string" || !value) return value;
+  if (NAME_KEYS.has(key)) return "[redacted]";
+  if (PHONE_KEYS.has(key)) return maskPhone(value);
+  if (POSTCODE_KEYS.has(key)) return maskPostcode(value);
+  if (TEXT_KEYS.has(key)) return redactText(value);
+  return value;
+}
+
+export function createLogger({ level = "info", write = (line) => process.stdout.write(line) } = {}) {
+  const threshold = LEVELS[level] ?? LEVELS.info;
+
+  const emit = (name) => (event, fields = {}) => {
+    if (LEVELS[name] < threshold) return;
+    write(`${JSON.stringify({ time: new Date().toISOString(), level: name, event, ...redact(fields) })}\n`);
+  };
+
+  return { debug: emit("debug"), info: emit("info"), warn: emit("warn"), error: emit("error") };
+}
@@ -0,0 +1,93 @@
+/* =========================
+   Metrics (Prometheus text format)
+   Counters and histograms held in memory and rendered for GET /metrics. Labels are stage names,
+   channels and outcomes only, never caller data. Counts reset when the process restarts, which
+   Prometheus handles through rate() and increase().
+     counter(name, help, labelNames)            -> { inc(labels, by = 1) }
+     histogram(name, help, buckets, labelNames) -> { observe(value, labels) }
+     render() -> exposition text
+========================= */
+
+export const CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+function labelText(pairs) {
+  if (pairs.length === 0) return "";
+  return `{${pairs.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(",")}}`;
+}
+
+// Series are keyed by their label values in labelNames order, so { a, b } and { b, a } are one series
+function seriesKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map((name) => String(labels[name] ?? "")));
+}
+
+function labelPairs(labelNames, key) {
+  return JSON.parse(key).map((value, i) => [labelNames[i], value]);
+}
+
+function header(name, help, type) {
+  return [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+}
+
+export function createMetrics() {
+  const families = [];
+
+  function counter(name, help, labelNames = []) {
+    const series = new Map();
+
+    families.push(() => {
+      const lines = header(name, help, "counter");
+      if (series.size === 0 && labelNames.length === 0) lines.push(`${name} 0`);
+      for (const [key, value] of series) lines.push(`${name}${labelText(labelPairs(labelNames, key))} ${value}`);
+      return lines;
+    });
+
+    return {
+      inc(labels = {}, by = 1) {
+        const key = seriesKey(labelNames, labels);
+        series.set(key, (series.get(key) || 0) + by);
+      },
+    };
+  }
+
+  function histogram(name, help, buckets, labelNames = []) {
+    const bounds = [...buckets].sort((a, b) => a - b);
+    const series = new Map();
+
+    families.push(() => {
+      const lines = header(name, help, "histogram");
+      for (const [key, { counts, sum, count }] of series) {
+        const pairs = labelPairs(labelNames, key);
+        bounds.forEach((le, i) => lines.push(`${name}_bucket${labelText([...pairs, ["le", le]])} ${counts[i]}`));
+        lines.push(`${name}_bucket${labelText([...pairs, ["le", "+Inf"]])} ${count}`);
+        lines.push(`${name}_sum${labelText(pairs)} ${sum}`);
+        lines.push(`${name}_count${labelText(pairs)} ${count}`);
+      }
+      return lines;
+    });
+
+    return {
+      observe(value, labels = {}) {
+        const key = seriesKey(labelNames, labels);
+        if (!series.has(key)) series.set(key, { counts: bounds.map(() => 0), sum: 0, count: 0 });
+
+        // Buckets are cumulative: a value counts towards every bound at or above it
+        const entry = series.get(key);
+        bounds.forEach((le, i) => {
+          if (value <= le) entry.counts[i] += 1;
+        });
+        entry.sum += value;
+        entry.count += 1;
+      },
+    };
+  }
+
+  function render() {
+    return `${families.flatMap((family) => family()).join("\n")}\n`;
+  }
+
+  return { counter, histogram, render };
+}
@@ -0,0 +1,67 @@
+import { readFileSync } from "node:fs";
+
+/* =========================
+   Postcode districts and service-area coverage
+   data/postcode-districts.json lists every outward code (district) by postcode area, so
+   checks work offline. Refresh it from the ONS Postcode Directory when districts change.
+========================= */
+
+// Letters and digits that are easily misheard for each other on a phone line
+const CONFUSABLE_GROUPS = ["BCDEGPTVZ3", "MN", "FSX", "AHJK8", "IY5", "O04", "QUW", "19"];
+
+export function loadPostcodeDistricts(file = new URL("../data/postcode-districts.json", import.meta.url)) {
+  const byArea = JSON.parse(readFileSync(file, "utf8"));
+  return new Set(Object.values(byArea).flat());
+}
+
+export function outwardOf(postcode) {
+  return String(postcode || "").split(" ")[0];
+}
+
+export function areaOf(outward) {
+  return String(outward || "").match(/^[A-Z]+/)?.[0] || "";
+}
+
+function confusable(a, b) {
+  return CONFUSABLE_GROUPS.some((g) => g.includes(a) && g.includes(b));
+}
+
+// 1 = very likely what the caller meant, 2 = plausible, 0 = not a near miss
+function nearMissScore(heard, district) {
+  if (district.length === heard.length + 1 && district.startsWith(heard)) return 1; // "SW1" -> "SW1A"
+  if (district.length !== heard.length) return 0;
+
+  const diffs = [...heard].map((c, i) => [c, district[i]]).filter(([a, b]) => a !== b);
+  if (diffs.length !== 1) return 0;
+
+  const [a, b] = diffs[0];
+  if (confusable(a, b)) return 1;
+  return areaOf(heard) === areaOf(district) ? 2 : 0;
+}
+
+/*
+Returns { status: "valid" }, { status: "near_miss", candidates } with full postcodes ranked by
+how likely they are, or { status: "unknown" } when nothing close exists (e.g. "ZZ9 9ZZ").
+*/
+export function checkPostcode(postcode, districts, limit = 4) {
+  const outward = outwardOf(postcode);
+  const inward = postcode.split(" ")[1] || "";
+  if (districts.has(outward)) return { status: "valid" };
+
+  const candidates = [...districts]
+    .map((d) => [d, nearMissScore(outward, d)])
+    .filter(([, score]) => score > 0)
+    .sort((x, y) => x[1] - y[1] || x[0].localeCompare(y[0]))
+    .slice(0, limit)
+    .map(([d]) => `${d} ${inward}`);
+
+  return candidates.length > 0 ? { status: "near_miss", candidates } : { status: "unknown" };
+}
+
+// Entries may be whole areas ("SW") or single districts ("KT1"). An empty list covers everywhere.
+export function isCovered(postcode, serviceAreas) {
+  if (serviceAreas.length === 0) return true;
+
+  const outward = outwardOf(postcode);
+  return serviceAreas.some((entry) => entry === outward || entry === areaOf(outward));
+}
@@ -0,0 +1,68 @@
+/* =========================
+   Local price estimator
+   Prices a GetQuoteSchema-shaped quote from a rate card (config/rate-card.json), so the agent
+   can still give a range when the Make pricing scenario is down. Make stays the source of truth.
+========================= */
+
+const ROOM_FIELDS = ["bedrooms", "bathrooms", "toilets", "kitchens"];
+
+function roundDown(amount, step) {
+  return Math.floor(amount / step) * step;
+}
+
+function roundUp(amount, step) {
+  return Math.ceil(amount / step) * step;
+}
+
+function rateFor(table, key) {
+  return table[key] ?? table.default ?? 0;
+}
+
+function roomsCost(quote, perRoom) {
+  return ROOM_FIELDS.reduce((sum, field) => sum + (perRoom[field] || 0) * (quote[field] || 0), 0);
+}
+
+function extrasCost(quote, rateCard) {
+  return quote.extras.reduce((sum, extra) => sum + rateFor(rateCard.extras, extra.name) * (extra.quantity || 1), 0);
+}
+
+// One visit of domestic work: service base plus per-room increments
+function domesticVisit(quote, card) {
+  return rateFor(card.base, quote.domestic_service_type) + roomsCost(quote, card.per_room);
+}
+
+// One visit of commercial work: hourly rate for the service, never below the minimum call-out
+function commercialVisit(quote, card) {
+  const hours = Math.max(quote.preferred_hours || 0, card.minimum_hours);
+  return rateFor(card.hourly, quote.commercial_service_type) * hours + roomsCost(quote, card.per_room);
+}
+
+// Less than weekly work is one visit per period: fortnightly is priced per fortnight, not as half a week
+const PERIOD_BASIS = { 0.5: "per fortnight", 0.25: "per month" };
+
+function basisFor(frequency) {
+  if (frequency > 1) return "per week";
+  return PERIOD_BASIS[frequency] || "per visit";
+}
+
+/*
+Returns { low, high, basis, breakdown } in GBP. basis is "per visit", or for commercial contracts
+with a visit frequency "per week" (the visit price times visits per week), "per fortnight" or "per month".
+*/
+export function estimatePrice(quote, rateCard) {
+  const commercial = quote.service_category === "commercial";
+  const visit = commercial ? commercialVisit(quote, rateCard.commercial) : domesticVisit(quote, rateCard.domestic);
+  const frequency = commercial ? quote.visit_frequency_per_week || 0 : 0;
+  const visits = frequency > 1 ? frequency : 1;
+  const extras = extrasCost(quote, rateCard);
+
+  const total = Math.max(visit * visits + extras, rateCard.minimum);
+  const { spread, round_to: step } = rateCard.range;
+
+  return {
+    low: roundDown(total * (1 - spread), step),
+    high: roundUp(total * (1 + spread), step),
+    basis: basisFor(frequency),
+    breakdown: { visit, visits, extras, total },
+  };
+}
@@ -0,0 +1,36 @@
+/* =========================
+   Rate limiter
+   Counts requests per key (a client IP, say) in fixed windows of windowMs and refuses any over
+   limit until that key's window ends. Keys whose window has passed are swept out once a window.
+     take(key) -> { allowed, retryAfterMs }
+========================= */
+
+export function createRateLimiter({ limit = 30, windowMs = 60_000, now = Date.now } = {}) {
+  const windows = new Map(); // key -> { start, count }
+  let sweptAt = now();
+
+  function prune(at) {
+    if (at - sweptAt < windowMs) return;
+    sweptAt = at;
+    for (const [key, window] of windows) {
+      if (at - window.start >= windowMs) windows.delete(key);
+    }
+  }
+
+  return {
+    take(key) {
+      const at = now();
+      let window = windows.get(key);
+
+      if (!window || at - window.start >= windowMs) {
+        prune(at);
+        window = { start: at, count: 0 };
+        windows.set(key, window);
+      }
+
+      window.count += 1;
+      const allowed = window.count <= limit;
+      return { allowed, retryAfterMs: allowed ? 0 : window.start + windowMs - at };
+    },
+  };
+}
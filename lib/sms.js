@@ -0,0 +1,52 @@
+/* =========================
+   SMS follow-up
+   Templates are plain text with {{name}} placeholders. A line whose placeholders are all empty is
+   left out, so "Postcode: {{postcode}}" disappears when no postcode was captured.
+   The sender wraps a twilio client: send(to, body, callSid) -> { sid, status }.
+========================= */
+
+const PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/g;
+
+export function renderTemplate(template, values) {
+  return template
+    .split("\n")
+    .filter((line) => {
+      const names = [...line.matchAll(PLACEHOLDER)].map((m) => m[1]);
+      return names.length === 0 || names.some((name) => values[name]);
+    })
+    .map((line) => line.replace(PLACEHOLDER, (_, name) => values[name] ?? ""))
+    .join("\n");
+}
+
+// from is a Twilio number, or a Messaging Service SID ("MG...") to let Twilio pick the sender
+export function createSmsSender({ client, from, statusCallbackFor = null }) {
+  const sender = from.startsWith("MG") ? { messagingServiceSid: from } : { from };
+
+  return {
+    async send(to, body, callSid) {
+      const statusCallback = statusCallbackFor ? statusCallbackFor(callSid) : undefined;
+      const message = await client.messages.create({ to, body, ...sender, ...(statusCallback && { statusCallback }) });
+      return { sid: message.sid, status: message.status };
+    },
+  };
+}
+
+// Twilio can post status callbacks out of order; a later status never goes back to an earlier one
+const STATUS_ORDER = [
+  "scheduled",
+  "accepted",
+  "queued",
+  "sending",
+  "sent",
+  "receiving",
+  "received",
+  "delivered",
+  "read",
+  "undelivered",
+  "failed",
+  "canceled",
+];
+
+export function isNewerStatus(next, current) {
+  return STATUS_ORDER.indexOf(next) >= STATUS_ORDER.indexOf(current);
+}
@@ -0,0 +1,167 @@
+import { mkdir, readFile, readdir, rename, rm, writeFile } from "node:fs/promises";
+import path from "node:path";
+
+/* =========================
+   Call state stores
+   Every store has the same async interface so a shared backend can be dropped in later:
+     get(callSid) -> state | null
+     set(callSid, state)
+     delete(callSid)
+     sweep() -> number of entries evicted
+     close()
+   Entries expire after ttlMs without a write, and after maxAgeMs however active they are.
+========================= */
+
+const DEFAULT_TTL_MS = 30 * 60 * 1000;
+const DEFAULT_MAX_AGE_MS = 4 * 60 * 60 * 1000;
+const DEFAULT_SWEEP_MS = 60 * 1000;
+
+function isExpired(entry, { ttlMs, maxAgeMs }, now = Date.now()) {
+  return now - entry.updated_at > ttlMs || now - entry.created_at > maxAgeMs;
+}
+
+function startSweeper(store, sweepMs) {
+  const timer = setInterval(() => {
+    store.sweep().catch(() => {});
+  }, sweepMs);
+  timer.unref();
+  return timer;
+}
+
+export function createMemoryStateStore({
+  ttlMs = DEFAULT_TTL_MS,
+  maxAgeMs = DEFAULT_MAX_AGE_MS,
+  sweepMs = DEFAULT_SWEEP_MS,
+} = {}) {
+  const limits = { ttlMs, maxAgeMs };
+  const entries = new Map();
+
+  const store = {
+    async get(callSid) {
+      const entry = entries.get(callSid);
+      if (!entry) return null;
+
+      if (isExpired(entry, limits)) {
+        entries.delete(callSid);
+        return null;
+      }
+      return entry.state;
+    },
+
+    async set(callSid, state) {
+      const now = Date.now();
+      const existing = entries.get(callSid);
+      entries.set(callSid, { state, created_at: existing?.created_at ?? now, updated_at: now });
+    },
+
+    async delete(callSid) {
+      entries.delete(callSid);
+    },
+
+    async sweep() {
+      let evicted = 0;
+      for (const [callSid, entry] of entries) {
+        if (!isExpired(entry, limits)) continue;
+        entries.delete(callSid);
+        evicted++;
+      }
+      return evicted;
+    },
+
+    close() {
+      clearInterval(timer);
+    },
+  };
+
+  const timer = startSweeper(store, sweepMs);
+  return store;
+}
+
+// One JSON file per call, so state survives restarts and can sit on a volume shared by several instances.
+export function createFileStateStore({
+  dir,
+  ttlMs = DEFAULT_TTL_MS,
+  maxAgeMs = DEFAULT_MAX_AGE_MS,
+  sweepMs = DEFAULT_SWEEP_MS,
+} = {}) {
+  const limits = { ttlMs, maxAgeMs };
+  const ready = mkdir(dir, { recursive: true });
+
+  // CallSids are "CA" plus hex, but never trust a request value as a path
+  const fileFor = (callSid) => path.join(dir, `${String(callSid).replace(/[^A-Za-z0-9_-]/g, "_")}.json`);
+
+  async function readEntry(file) {
+    try {
+      return JSON.parse(await readFile(file, "utf8"));
+    } catch {
+      return null;
+    }
+  }
+
+  const store = {
+    async get(callSid) {
+      await ready;
+      const file = fileFor(callSid);
+      const entry = await readEntry(file);
+      if (!entry) return null;
+
+      if (isExpired(entry, limits)) {
+        await rm(file, { force: true });
+        return null;
+      }
+      return entry.state;
+    },
+
+    async set(callSid, state) {
+      await ready;
+      const file = fileFor(callSid);
+      const existing = await readEntry(file);
+      const now = Date.now();
+      const entry = { state, created_at: existing?.created_at ?? now, updated_at: now };
+
+      // Write then rename so a crash mid-write never leaves a half-written call
+      const tmp = `${file}.${process.pid}.tmp`;
+      await writeFile(tmp, JSON.stringify(entry));
+      await rename(tmp, file);
+    },
+
+    async delete(callSid) {
+      await ready;
+      await rm(fileFor(callSid), { force: true });
+    },
+
+    async sweep() {
+      await ready;
+      let evicted = 0;
+      for (const name of await readdir(dir)) {
+        if (!name.endsWith(".json")) continue;
+
+        const file = path.join(dir, name);
+        const entry = await readEntry(file);
+        if (entry && !isExpired(entry, limits)) continue;
+
+        await rm(file, { force: true });
+        evicted++;
+      }
+      return evicted;
+    },
+
+    close() {
+      clearInterval(timer);
+    },
+  };
+
+  const timer = startSweeper(store, sweepMs);
+  return store;
+}
+
+export function createStateStore({ kind = "memory", dir, ttlMs, maxAgeMs } = {}) {
+  const limits = {
+    ttlMs: Number(ttlMs) || DEFAULT_TTL_MS,
+    maxAgeMs: Number(maxAgeMs) || DEFAULT_MAX_AGE_MS,
+  };
+
+  if (kind === "file") return createFileStateStore({ dir: dir || ".data/calls", ...limits });
+  if (kind === "memory") return createMemoryStateStore(limits);
+  throw new Error(`Unknown STATE_STORE "${kind}". Use "memory" or "file".`);
+}
@@ -0,0 +1,31 @@
+import twilio from "twilio";
+
+/* =========================
+   Twilio request signatures
+   Twilio signs the full public URL it called plus the POST params. Behind a proxy (Railway)
+   the URL Express sees is not that URL, so prefer PUBLIC_BASE_URL and fall back to the
+   forwarded protocol and host (the app sets "trust proxy" for these).
+========================= */
+
+export function publicUrlFor(req, publicBaseUrl) {
+  if (publicBaseUrl) return new URL(req.originalUrl, publicBaseUrl).toString();
+
+  const host = req.get("x-forwarded-host") || req.get("host");
+  return `${req.protocol}://${host}${req.originalUrl}`;
+}
+
+export function twilioSignatureMiddleware({ authToken, publicBaseUrl, enabled = true }) {
+  if (!enabled) return (req, res, next) => next();
+
+  if (!authToken) {
+    throw new Error("TWILIO_AUTH_TOKEN is required to validate Twilio requests. Set TWILIO_VALIDATE_SIGNATURE=false for local development.");
+  }
+
+  return (req, res, next) => {
+    const signature = req.get("x-twilio-signature");
+    const url = publicUrlFor(req, publicBaseUrl);
+
+    if (signature && twilio.validateRequest(authToken, signature, url, req.body || {})) return next();
+    return res.status(403).type("text/plain").send("Forbidden");
+  };
+}
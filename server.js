@@ -2,6 +2,26 @@ import express from "express";
 import axios from "axios";
 import { z } from "zod";
 import twilio from "twilio";
+import { randomUUID } from "node:crypto";
+import { readFileSync, readdirSync } from "node:fs";
+import path from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import { createStateStore } from "./lib/state-store.js";
+import { createCallLog } from "./lib/call-log.js";
+import { createCircuitBreaker } from "./lib/circuit-breaker.js";
+import { createRateLimiter } from "./lib/rate-limit.js";
+import { createCustomerStore } from "./lib/customer-store.js";
+import { adminAuthMiddleware } from "./lib/admin-auth.js";
+import { toCsv } from "./lib/csv.js";
+import { createLlmProvider } from "./lib/llm.js";
+import { createLogger } from "./lib/logger.js";
+import { CONTENT_TYPE as METRICS_CONTENT_TYPE, createMetrics } from "./lib/metrics.js";
+import { twilioSignatureMiddleware } from "./lib/twilio-signature.js";
+import { checkPostcode, isCovered, loadPostcodeDistricts, outwardOf } from "./lib/postcodes.js";
+import { estimatePrice } from "./lib/pricing.js";
+import { createSmsSender, isNewerStatus, renderTemplate } from "./lib/sms.js";
+import { WEEKDAY_NAMES, isOpen, isWorkingDay, nextOpening, nextWorkingDay } from "./lib/business-hours.js";
+import { addDays, londonToday, parseBookingRequest, parseTimeWindow, spokenDate, spokenTime } from "./lib/dates.js";
 
 const app = express();
 app.use(express.urlencoded({ extended: true }));
@@ -13,57 +33,79 @@ const {
   VOICE_NAME,
   MAKE_GETQUOTE_WEBHOOK_URL,
   MAKE_CONFIRMBOOKING_WEBHOOK_URL,
+  EXTRAS_CATALOGUE_PATH,
+  MAKE_WEBHOOK_TIMEOUT_MS,
+  MAKE_WEBHOOK_RETRIES,
+  STATE_STORE,
+  STATE_DIR,
+  STATE_TTL_MS,
+  STATE_MAX_AGE_MS,
+  TWILIO_AUTH_TOKEN,
+  TWILIO_VALIDATE_SIGNATURE,
+  PUBLIC_BASE_URL,
+  ABANDONED_LEAD_WEBHOOK_URL,
+  SERVICE_AREAS_PATH,
+  RATE_CARD_PATH,
+  BUSINESS_HOURS_PATH,
+  BANK_HOLIDAYS_PATH,
+  CALL_LOG,
+  CALL_LOG_DIR,
+  CALL_LOG_RETENTION_DAYS,
+  ADMIN_API_TOKEN,
+  HANDOFF_NUMBER,
+  HANDOFF_AFTER_FAILURES,
+  HANDOFF_WEBHOOK_URL,
+  LOG_LEVEL,
+  METRICS_TOKEN,
+  CUSTOMER_STORE,
+  CUSTOMER_DIR,
+  CUSTOMER_RETENTION_DAYS,
+  TWILIO_ACCOUNT_SID,
+  SMS_FROM,
+  SMS_TEMPLATES_PATH,
+  BOOKING_URL,
+  AI_TIMEOUT_MS,
+  AI_SLOW_MS,
+  AI_BREAKER_FAILURES,
+  AI_BREAKER_COOLDOWN_MS,
+  LLM_PROVIDER,
+  LLM_BASE_URL,
+  LLM_MODEL,
+  LLM_API_KEY,
+  TENANTS_DIR,
+  DEFAULT_TENANT,
+  CHAT_RATE_LIMIT,
+  TRUST_PROXY,
 } = process.env;
 
+/*
+How many proxies in front of the app to believe X-Forwarded-* from (default 1, Railway's router).
+Trusting every hop would let a client pick its own IP with X-Forwarded-For; with a count, req.ip
+is the address the nearest trusted proxy appended. Express also takes "loopback" or a list of subnets.
+*/
+app.set("trust proxy", /^\d+$/.test(TRUST_PROXY || "1") ? Number(TRUST_PROXY || "1") : TRUST_PROXY);
+
+const log = createLogger({ level: LOG_LEVEL });
+
 const VoiceResponse = twilio.twiml.VoiceResponse;
+const MessagingResponse = twilio.twiml.MessagingResponse;
 
 /* =========================
    Voice + hearing tuning
 ========================= */
 
-const SAY_LANG = "en-GB";
-
 /*
-Voice options:
+Voice options (per tenant, see config/tenants):
 - "alice" works on all accounts and sounds UK-neutral with language en-GB
 - "Polly.Amy" sounds more British but depends on Twilio account support
-Set Railway variable VOICE_NAME="Polly.Amy" after you confirm it works.
+Set voice.name in a tenant file, or Railway variable VOICE_NAME="Polly.Amy" for the default tenant, after you confirm it works.
 */
-const SAY_VOICE = VOICE_NAME || "alice";
-
-const BASE_HINTS = [
-  "home",
-  "house",
-  "flat",
-  "apartment",
-  "studio",
-  "business",
-  "office",
-  "shop",
-  "warehouse",
-  "school",
-  "clinic",
-  "gym",
-  "end of tenancy",
-  "deep clean",
-  "regular cleaning",
-  "post construction",
-  "disinfection",
-  "sanitisation",
-  "postcode",
-  "spell it",
-  "letter by letter",
-  "S for Sun",
-  "W as in Winter",
-  "double u",
-  "zed",
-];
+const DEFAULT_VOICE_NAME = VOICE_NAME || "alice";
 
 const GATHER_BASE = {
   input: "speech",
   method: "POST",
   action: "/call/input",
-  language: SAY_LANG,
   speechModel: "phone_call",
   enhanced: true,
   timeout: 7,
@@ -71,16 +113,18 @@ const GATHER_BASE = {
   profanityFilter: false,
 };
 
-function say(twiml, text) {
-  twiml.say({ voice: SAY_VOICE, language: SAY_LANG }, safeSpeak(text));
+// voice is the tenant's { name, language }
+function say(twiml, text, voice) {
+  twiml.say({ voice: voice.name, language: voice.language }, safeSpeak(text));
 }
 
-function gatherSay(twiml, text, hints = BASE_HINTS) {
+function gatherSay(twiml, text, hints, voice) {
   const gather = twiml.gather({
     ...GATHER_BASE,
+    language: voice.language,
     hints: hints.join(", "),
   });
-  say(gather, text);
+  say(gather, text, voice);
   twiml.redirect({ method: "POST" }, "/call/input");
 }
 
@@ -109,6 +153,152 @@ const ExtraSchema = z.object({
   quantity: z.number().int().nonnegative(),
 });
 
+const ExtrasCatalogueSchema = z.array(
+  z.object({
+    name: z.string().min(1),
+    aliases: z.array(z.string().min(1)).min(1),
+  })
+);
+
+// Postcode areas ("SW") or districts ("KT1") we cover
+const ServiceAreasSchema = z.array(z.string().regex(/^[A-Z]{1,2}[0-9A-Z]*$/));
+
+const PriceTableSchema = z.record(z.string(), z.number().nonnegative());
+
+const RateCardSchema = z.object({
+  minimum: z.number().nonnegative(),
+  range: z.object({ spread: z.number().min(0).max(1), round_to: z.number().positive() }),
+  domestic: z.object({ base: PriceTableSchema, per_room: PriceTableSchema }),
+  commercial: z.object({ hourly: PriceTableSchema, minimum_hours: z.number().nonnegative(), per_room: PriceTableSchema }),
+  extras: PriceTableSchema,
+});
+
+const OpeningHoursSchema = z
+  .object({ open: z.string().regex(/^\d{2}:\d{2}$/), close: z.string().regex(/^\d{2}:\d{2}$/) })
+  .nullable();
+
+const BusinessHoursSchema = z.object(Object.fromEntries(WEEKDAY_NAMES.map((day) => [day, OpeningHoursSchema])));
+
+// gov.uk/bank-holidays.json format; only England and Wales is used
+const BankHolidaysSchema = z.object({
+  "england-and-wales": z.object({
+    events: z.array(z.object({ title: z.string(), date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/) })),
+  }),
+});
+
+// Follow-up texts, one per kind of call ending; {{name}} placeholders, see lib/sms.js
+const SmsTemplatesSchema = z.object({
+  quoted: z.string().min(1).max(1600),
+  booked: z.string().min(1).max(1600),
+  handoff: z.string().min(1).max(1600),
+});
+
+// Twilio message status callback
+const SmsStatusSchema = z.object({
+  MessageSid: z.string().min(1),
+  MessageStatus: z.string().min(1),
+  ErrorCode: z.string().optional(),
+});
+
+const ServiceCatalogueSchema = z
+  .array(z.object({ name: z.string().min(1), aliases: z.array(z.string().min(1)).min(1) }))
+  .min(1);
+
+// Prompts may use {{business_name}}; some have their own placeholder, like confirm_returning's {{postcode}}.
+// Retry, correction and error lines stay in code and are shared by every tenant.
+const TenantPromptsSchema = z
+  .object(
+    Object.fromEntries(
+      [
+        "greeting",
+        "greeting_returning",
+        "goodbye",
+        "need_category",
+        "need_service_type_domestic",
+        "need_service_type_commercial",
+        "need_property_type_domestic",
+        "need_property_type_commercial",
+        "need_postcode",
+        "need_hours",
+        "need_frequency",
+        "need_areas",
+        "need_rooms",
+        "need_bedrooms",
+        "need_bathrooms",
+        "need_toilets_kitchens",
+        "need_toilets",
+        "need_kitchens",
+        "need_extras",
+        "confirm_returning",
+        "confirm_summary",
+        "confirm_booking",
+        "need_booking_date",
+        "need_booking_time",
+        "need_booking_name",
+        "quote_estimate",
+        "office_closed",
+        "office_closed_until",
+        "handoff_transfer",
+        "handoff_text",
+        "voicemail_closed",
+        "voicemail_unavailable",
+        "voicemail_no_answer",
+        "voicemail_empty",
+        "voicemail_received",
+      ].map((key) => [key, z.string().min(1)])
+    )
+  )
+  .strict();
+
+// One brand per file in TENANTS_DIR; anything left out is taken from the default tenant
+const TenantSchema = z
+  .object({
+    id: z.string().regex(/^[a-z0-9_-]+$/),
+    business_name: z.string().min(1),
+    // The Twilio numbers (To) that reach this brand, in E.164
+    numbers: z.array(z.string().regex(/^\+[1-9]\d{6,14}$/)).default([]),
+    voice: z.object({ name: z.string().min(1).optional(), language: z.string().min(2).optional() }).strict().optional(),
+    prompts: TenantPromptsSchema.partial().optional(),
+    services: z.object({ domestic: ServiceCatalogueSchema, commercial: ServiceCatalogueSchema }).strict().optional(),
+    hints: z.array(z.string().min(1)).optional(),
+    webhooks: z
+      .object({
+        quote: z.string().url().optional(),
+        booking: z.string().url().optional(),
+        abandoned_lead: z.string().url().optional(),
+        handoff: z.string().url().optional(),
+      })
+      .strict()
+      .optional(),
+    sms_from: z.string().min(1).optional(),
+    sms_templates: SmsTemplatesSchema.optional(),
+    booking_url: z.string().url().optional(),
+  })
+  .strict();
+
+// The default tenant is what every other tenant falls back to, so it has to be complete
+const DefaultTenantSchema = TenantSchema.extend({
+  voice: z.object({ name: z.string().min(1).optional(), language: z.string().min(2) }).strict(),
+  prompts: TenantPromptsSchema,
+  services: TenantSchema.shape.services.unwrap(),
+  hints: z.array(z.string().min(1)),
+});
+
+const IsoDateSchema = z.string().regex(/^\d{4}-\d{2}-\d{2}$/);
+
+const AdminCallsQuerySchema = z.object({
+  from: IsoDateSchema.optional(),
+  to: IsoDateSchema.optional(),
+  limit: z.coerce.number().int().min(1).max(500).default(50),
+  format: z.enum(["json", "csv"]).default("json"),
+});
+
+const ChatRequestSchema = z.object({
+  session_id: z.string().regex(/^[A-Za-z0-9_-]{8,64}$/).optional(),
+  tenant: z.string().optional(),
+  message: z.string().max(1000).default(""),
+});
+
 const GetQuoteSchema = z.object({
   intent: z.literal("get_quote"),
   service_category: z.enum(["domestic", "commercial"]),
@@ -129,6 +319,112 @@ const GetQuoteSchema = z.object({
   notes: z.string(),
 });
 
+/* =========================
+   Tenants (one per brand)
+   Each brand is a JSON file in TENANTS_DIR (default config/tenants), picked by the Twilio number
+   the caller rang or texted. The default tenant (DEFAULT_TENANT, default "totalspark") answers any
+   other number and the web chat. Env vars fill in what its file leaves out (voice name, webhooks,
+   SMS sender, booking link), and every other tenant takes what it leaves out from the default.
+========================= */
+
+const DEFAULT_TENANT_ID = DEFAULT_TENANT || "totalspark";
+
+function resolveTenant(config, fallback) {
+  return {
+    ...config,
+    voice: { ...fallback.voice, ...config.voice },
+    prompts: { ...fallback.prompts, ...config.prompts },
+    services: config.services || fallback.services,
+    hints: config.hints || fallback.hints,
+    webhooks: { ...fallback.webhooks, ...config.webhooks },
+    sms_from: config.sms_from || fallback.sms_from,
+    sms_templates: config.sms_templates || fallback.sms_templates,
+    booking_url: config.booking_url || fallback.booking_url,
+  };
+}
+
+function readTenantFile(dir, name) {
+  let raw;
+  try {
+    raw = JSON.parse(readFileSync(path.join(dir, name), "utf8"));
+  } catch (err) {
+    throw new Error(`Tenant file ${name} is not valid JSON: ${err.message}`);
+  }
+
+  const parsed = (raw?.id === DEFAULT_TENANT_ID ? DefaultTenantSchema : TenantSchema).safeParse(raw);
+  if (!parsed.success) throw new Error(`Tenant file ${name} is invalid: ${parsed.error.message}`);
+  return parsed.data;
+}
+
+// Validated at startup, so a bad file stops the deploy instead of a call
+function loadTenants(dir) {
+  const configs = readdirSync(dir)
+    .filter((name) => name.endsWith(".json"))
+    .sort()
+    .map((name) => readTenantFile(dir, name));
+
+  const defaults = configs.find((t) => t.id === DEFAULT_TENANT_ID);
+  if (!defaults) throw new Error(`No tenant file in ${dir} has the default tenant id "${DEFAULT_TENANT_ID}".`);
+
+  const base = resolveTenant(defaults, {
+    voice: { name: DEFAULT_VOICE_NAME },
+    webhooks: {
+      quote: MAKE_GETQUOTE_WEBHOOK_URL,
+      booking: MAKE_CONFIRMBOOKING_WEBHOOK_URL,
+      abandoned_lead: ABANDONED_LEAD_WEBHOOK_URL,
+      handoff: HANDOFF_WEBHOOK_URL,
+    },
+    sms_from: SMS_FROM,
+    booking_url: BOOKING_URL,
+  });
+
+  const tenants = new Map();
+  const byNumber = new Map();
+
+  for (const config of configs) {
+    if (tenants.has(config.id)) throw new Error(`Two tenant files use the id "${config.id}".`);
+    const tenant = config.id === base.id ? base : resolveTenant(config, base);
+    tenants.set(tenant.id, tenant);
+
+    for (const number of tenant.numbers) {
+      if (byNumber.has(number)) throw new Error(`${number} is listed by tenants "${byNumber.get(number).id}" and "${tenant.id}".`);
+      byNumber.set(number, tenant);
+    }
+  }
+
+  return { tenants, byNumber, base };
+}
+
+const {
+  tenants: TENANTS,
+  byNumber: TENANT_NUMBERS,
+  base: BASE_TENANT,
+} = loadTenants(TENANTS_DIR || fileURLToPath(new URL("./config/tenants/", import.meta.url)));
+
+// The number dialled or texted; WhatsApp numbers arrive as "whatsapp:+44..."
+function tenantForNumber(to) {
+  return TENANT_NUMBERS.get(String(to || "").replace(/^whatsapp:/, "")) || BASE_TENANT;
+}
+
+// A tenant removed since the conversation started falls back to the default
+function tenantFor(state) {
+  return TENANTS.get(state.tenant) || BASE_TENANT;
+}
+
+function serviceCatalogue(state) {
+  const { services } = tenantFor(state);
+  return state.quote.service_category === "domestic" ? services.domestic : services.commercial;
+}
+
+// values fill the prompt's own placeholders, like {{postcode}} or {{price}}, alongside {{business_name}}
+function tenantPrompt(tenant, key, values = {}) {
+  return renderTemplate(tenant.prompts[key], { business_name: tenant.business_name, ...values });
+}
+
+function promptFor(state, key, values) {
+  return tenantPrompt(tenantFor(state), key, values);
+}
+
 /* =========================
    State
 ========================= */
@@ -155,14 +451,35 @@ function emptyQuote() {
   };
 }
 
-function initState() {
+// channel: "voice", "sms", "whatsapp" or "chat"
+function initState(channel = "voice", caller = "", tenant = BASE_TENANT.id) {
   return {
+    channel,
+    caller,
+    tenant,
+    started_at: new Date().toISOString(),
     transcript: [],
     stage: "need_category",
     quote: emptyQuote(),
     stage_attempts: {},
     postcode_attempts: 0,
+    postcode_candidates: [],
+    room_counts_heard: {},
+    correcting: false,
+    stages_reached: [],
+    field_sources: {},
     last_prompt: "",
+    history: [],
+    outcome: "",
+    quote_price: null,
+    quote_estimate: null,
+    booking: { date: "", window_start: "", window_end: "", window_label: "", name: "" },
+    booking_reference: "",
+    handoff: null,
+    after_hours: false,
+    suggested_booking_date: "",
+    returning: null,
+    follow_up_sms: null,
   };
 }
 
@@ -176,14 +493,71 @@ function resetAttempt(state, stageName) {
   state.stage_attempts[stageName] = 0;
 }
 
-const stateByCallSid = new Map();
+// STATE_STORE=file keeps in-flight calls across restarts and redeploys
+const stateStore = createStateStore({
+  kind: STATE_STORE,
+  dir: STATE_DIR,
+  ttlMs: STATE_TTL_MS,
+  maxAgeMs: STATE_MAX_AGE_MS,
+});
+
+// Kept after calls end, for the admin API (CALL_LOG=file to keep it across restarts)
+const callLog = createCallLog({
+  kind: CALL_LOG,
+  dir: CALL_LOG_DIR,
+  retentionDays: CALL_LOG_RETENTION_DAYS,
+});
+
+// Returning callers by phone number (CUSTOMER_STORE=file to remember them across restarts)
+const customers = createCustomerStore({
+  kind: CUSTOMER_STORE,
+  dir: CUSTOMER_DIR,
+  retentionDays: CUSTOMER_RETENTION_DAYS,
+});
+
+/* =========================
+   Metrics (GET /metrics)
+========================= */
+
+const metrics = createMetrics();
+
+const callsStarted = metrics.counter("spark_calls_started_total", "Conversations started", ["channel"]);
+const stageReached = metrics.counter("spark_stage_reached_total", "Conversations that reached a stage, counted once per conversation", ["stage"]);
+const stageRetries = metrics.counter("spark_stage_retries_total", "Answers given at a stage after the first attempt", ["stage"]);
+const postcodeResults = metrics.counter("spark_postcode_results_total", "How postcodes were captured: heard, confirmed (near miss) or fallback (town and landmark)", ["result"]);
+const quotesCompleted = metrics.counter("spark_quotes_completed_total", "Quotes given, priced by Make or by the local estimate", ["source"]);
+const callsFinished = metrics.counter("spark_calls_finished_total", "Conversations ended, by outcome", ["channel", "outcome"]);
+const aiEnhanceSeconds = metrics.histogram("spark_ai_enhance_duration_seconds", "aiEnhanceQuote latency", [0.25, 0.5, 1, 2, 3, 5, 8, 12]);
+const aiEnhanceResults = metrics.counter(
+  "spark_ai_enhance_results_total",
+  "aiEnhanceQuote results: ok, slow, empty, timeout, invalid_json, schema_invalid, error, or circuit_open when skipped",
+  ["result"]
+);
+
+// Each stage counts once per conversation, so retries and going back don't inflate the funnel
+function countStageReached(state) {
+  state.stages_reached ??= [];
+  if (state.stages_reached.includes(state.stage)) return;
+  state.stages_reached.push(state.stage);
+  stageReached.inc({ stage: state.stage });
+}
 
 /* =========================
    Deterministic helpers (prevents loops)
 ========================= */
 
+// Lower-cased words padded with spaces, hyphens split, for whole-word matching with hasWord
+function wordsOf(text) {
+  return ` ${String(text || "").toLowerCase().replace(/[^a-zé\s-]/g, " ").replace(/-/g, " ").replace(/\s+/g, " ")} `;
+}
+
+// Whole words only, so "semi" doesn't match "seminar" or "bar" "barn"; "offices" and "terraced" still count
+function hasWord(words, phrase) {
+  return new RegExp(` ${phrase.replace(/-/g, " ")}(s|es|d|ed)? `).test(words);
+}
+
 function detectCategory(text) {
-  const lower = String(text || "").toLowerCase();
+  const words = wordsOf(text);
 
   const domestic = [
     "home",
@@ -191,6 +565,11 @@ function detectCategory(text) {
     "flat",
     "apartment",
     "studio",
+    "maisonette",
+    "bungalow",
+    "terrace",
+    "semi",
+    "detached",
     "tenancy",
     "landlord",
     "move out",
@@ -211,35 +590,18 @@ function detectCategory(text) {
     "workplace",
   ];
 
-  const d = domestic.some((w) => lower.includes(w));
-  const c = commercial.some((w) => lower.includes(w));
+  const d = domestic.some((w) => hasWord(words, w));
+  const c = commercial.some((w) => hasWord(words, w));
 
   if (d && !c) return "domestic";
   if (c && !d) return "commercial";
   return null;
 }
 
-function detectDomesticServiceType(text) {
+// catalogue is the tenant's domestic or commercial service list; the first entry with a matching alias wins
+function detectServiceType(text, catalogue) {
   const t = String(text || "").toLowerCase();
-
-  if (t.includes("tenancy") || t.includes("move out") || t.includes("move-out") || t.includes("checkout")) return "End of Tenancy Clean";
-  if (t.includes("deep")) return "Deep Clean";
-  if (t.includes("post") && (t.includes("construction") || t.includes("builder") || t.includes("build"))) return "Post-construction Clean";
-  if (t.includes("disinfection") || t.includes("saniti") || t.includes("saniti")) return "Disinfection / Sanitisation";
-  if (t.includes("regular") || t.includes("standard") || t.includes("weekly") || t.includes("fortnight") || t.includes("bi-week") || t.includes("monthly") || t.includes("recurring") || t.includes("ongoing")) return "Regular Cleaning";
-
-  return "";
-}
-
-function detectCommercialServiceType(text) {
-  const t = String(text || "").toLowerCase();
-
-  if (t.includes("regular") || t.includes("contract") || t.includes("ongoing")) return "Regular Commercial Cleaning";
-  if (t.includes("deep")) return "Deep Clean";
-  if (t.includes("post") && (t.includes("construction") || t.includes("builder") || t.includes("build"))) return "Post-construction Clean";
-  if (t.includes("disinfection") || t.includes("saniti") || t.includes("saniti")) return "Disinfection / Sanitisation";
-
-  return "";
+  return catalogue.find((service) => service.aliases.some((alias) => t.includes(alias.toLowerCase())))?.name || "";
 }
 
 function looksLikeNonAnswer(text) {
@@ -251,25 +613,63 @@ function looksLikeNonAnswer(text) {
   return false;
 }
 
-function isHighRiskPropertyTypePhrase(text) {
-  const t = String(text || "").toLowerCase();
-  const risky = [
-    "semi",
-    "semmy",
-    "semi-d",
-    "terrace",
-    "terraced",
-    "mid-terrace",
-    "end terrace",
-    "detached-ish",
-    "flat-ish",
-    "apartment sort",
-    "studio-type",
-    "maisonette",
-    "upstairs flat",
-    "ground floor flat",
-  ];
-  return risky.some((x) => t.includes(x));
+// Whichever of yes or no the caller says first wins ("yes, no problem" is a yes).
+function detectYesNo(text) {
+  const t = String(text || "").toLowerCase().replace(/[^a-z'\s]/g, " ");
+  const yes = t.search(/\b(yes|yeah|yep|yup|sure|ok|okay|go ahead|please do|book it|sounds good|correct|that'?s right|definitely|absolutely|let'?s do it)\b/);
+  const no = t.search(/\b(no|nope|nah|not (yet|now|really|today)|don'?t|rather not)\b/);
+
+  if (yes < 0 && no < 0) return null;
+  if (no < 0 || (yes >= 0 && yes < no)) return "yes";
+  return "no";
+}
+
+function extractCallerName(text) {
+  let t = String(text || "").trim().replace(/’/g, "'").replace(/[.,!?]/g, "");
+  const lead = /^(yes|yeah|sure|ok|okay|it'?s|it is|my name is|my name'?s|the name is|name is|this is|i'?m|i am|put it under|book it under|under)\s+/i;
+  while (lead.test(t)) t = t.replace(lead, "");
+  t = t.replace(/\s+(please|thanks|thank you)$/i, "");
+
+  const words = t.split(/\s+/).filter(Boolean).slice(0, 3);
+  const name = words.map((w) => w[0].toUpperCase() + w.slice(1).toLowerCase()).join(" ");
+  return looksLikeNonAnswer(name) ? "" : name;
+}
+
+// Ordered so the more specific wording wins: "semi-detached" before "detached", "studio flat" before "flat".
+const DOMESTIC_PROPERTY_TYPES = [
+  ["Studio flat", ["studio", "bedsit", "bed sit"]],
+  ["Maisonette", ["maisonette", "maisonnette", "maisonet", "may son", "mason ette"]],
+  ["Semi-detached house", ["semi", "semmy", "semie", "sammy", "semi attached", "some i detached", "cemi"]],
+  ["Terraced house", ["terrace", "terris", "terrist", "tarrace", "town house", "townhouse"]],
+  ["Bungalow", ["bungalow", "bungalo", "bungle"]],
+  ["Detached house", ["detached", "detatched", "de tached", "detach"]],
+  ["Flat", ["flat", "apartment", "penthouse", "conversion"]],
+];
+
+const COMMERCIAL_PROPERTY_TYPES = [
+  ["Office", ["office", "co-working", "coworking", "workspace", "agency"]],
+  ["Shop", ["shop", "shopping", "retail", "store", "boutique", "showroom", "salon", "cafe", "café"]],
+  ["Warehouse", ["warehouse", "industrial", "depot", "factory", "storage unit", "distribution"]],
+  ["School", ["school", "nursery", "college", "academy", "university", "classroom"]],
+  ["Clinic", ["clinic", "surgery", "dental", "dentist", "medical", "practice", "pharmacy", "care home", "vet", "veterinary"]],
+  ["Gym", ["gym", "fitness", "leisure centre", "leisure center", "sports"]],
+  ["Venue", ["venue", "event", "hall", "restaurant", "bar", "pub", "hotel", "church", "function room"]],
+];
+
+function matchPropertyType(text, table) {
+  const words = wordsOf(text);
+  for (const [value, aliases] of table) {
+    if (aliases.some((a) => hasWord(words, a))) return value;
+  }
+  return "";
+}
+
+function detectDomesticPropertyType(text) {
+  return matchPropertyType(text, DOMESTIC_PROPERTY_TYPES);
+}
+
+function detectCommercialPropertyType(text) {
+  return matchPropertyType(text, COMMERCIAL_PROPERTY_TYPES);
 }
 
 /* =========================
@@ -328,23 +728,22 @@ function formatUkPostcode(compact) {
   return `${compact.slice(0, -3)} ${compact.slice(-3)}`;
 }
 
-function extractUkPostcode(raw) {
-  const text = String(raw || "");
-  if (!text.trim()) return null;
+const POSTCODE_FILLERS = new Set(["my", "the", "postcode", "post", "code", "is", "its", "it", "yes", "yeah", "so", "um", "er", "erm", "please", "thanks", "ok", "okay", "sorry"]);
 
-  const phoneticLetters = [];
-  const re = /(^|[\s,])([a-z])\s*(for|as in|like)\s+([a-z]+)/gi;
-  let m;
-  while ((m = re.exec(text)) !== null) phoneticLetters.push(m[2].toUpperCase());
+// Turns spoken letters and digits into a compact string: "S for Sun, W as in Winter, one A" -> "SW1A"
+function spokenCharacters(raw) {
+  const text = String(raw || "");
+  if (!text.trim()) return "";
 
   const cleaned = text
     .toLowerCase()
+    .replace(/\b(it|that|what)['’]s\b/g, " ")
     .replace(/[^a-z0-9\s-]/g, " ")
     .replace(/\s+/g, " ")
     .trim();
 
   const tokens = cleaned.split(" ").filter(Boolean);
-  const out = [...phoneticLetters];
+  const out = [];
 
   for (let i = 0; i < tokens.length; i++) {
     const t = tokens[i];
@@ -362,6 +761,11 @@ function extractUkPostcode(raw) {
 
     if (/^[a-z]$/.test(t)) {
       out.push(t.toUpperCase());
+
+      // "S for Sun", "W as in Winter", "A like apple": the example word is not part of the postcode
+      const next = tokens[i + 1];
+      if ((next === "for" || next === "like") && tokens[i + 2]) i += 2;
+      else if (next === "as" && tokens[i + 2] === "in" && tokens[i + 3]) i += 3;
       continue;
     }
 
@@ -375,363 +779,2594 @@ function extractUkPostcode(raw) {
       continue;
     }
 
+    if (POSTCODE_FILLERS.has(t)) continue;
+
     if (/^[a-z0-9]+$/.test(t) && t.length <= 7) {
       out.push(t.toUpperCase());
       continue;
     }
   }
 
-  const compact = out.join("").replace(/[^A-Z0-9]/g, "");
+  return out.join("").replace(/[^A-Z0-9]/g, "");
+}
+
+function extractUkPostcode(raw) {
+  const compact = spokenCharacters(raw);
   if (!looksLikeUkPostcode(compact)) return null;
   return formatUkPostcode(compact);
 }
 
 /* =========================
-   AI enhancer (optional)
-   This must never block progress.
+   Postcode districts and coverage
 ========================= */
 
-function mergeKeepExisting(current, ai) {
-  const merged = { ...current };
+const POSTCODE_DISTRICTS = loadPostcodeDistricts();
 
-  for (const k of Object.keys(current)) {
-    const curVal = current[k];
-    const aiVal = ai[k];
+const SERVICE_AREAS = ServiceAreasSchema.parse(
+  JSON.parse(readFileSync(SERVICE_AREAS_PATH || new URL("./config/service-areas.json", import.meta.url), "utf8"))
+);
+
+function districtOptions(candidates) {
+  return `Did you mean ${candidates.slice(0, 2).map((c) => spellOut(outwardOf(c))).join(", or ")}?`;
+}
 
-    const curHas =
-      (typeof curVal === "string" && curVal.trim().length > 0) ||
-      (typeof curVal === "number" && curVal !== 0) ||
-      (Array.isArray(curVal) && curVal.length > 0);
+// The caller's answer to "did you mean SW1A or SW1V?": a full postcode, the district, just the differing letter, or first/second.
+function pickPostcodeCandidate(text, candidates) {
+  const full = extractUkPostcode(text);
+  if (full) return checkPostcode(full, POSTCODE_DISTRICTS).status === "valid" ? full : null;
 
-    const aiHas =
-      (typeof aiVal === "string" && aiVal.trim().length > 0) ||
-      (typeof aiVal === "number" && aiVal !== 0) ||
-      (Array.isArray(aiVal) && aiVal.length > 0);
+  const t = String(text || "").toLowerCase();
+  if (/\b(first|former)\b/.test(t)) return candidates[0];
+  if (/\b(second|latter)\b/.test(t) && candidates[1]) return candidates[1];
+
+  const heard = spokenCharacters(text);
+  const byDistrict = candidates.find((c) => heard && heard.includes(outwardOf(c)));
+  if (byDistrict) return byDistrict;
 
-    if (!curHas && aiHas) merged[k] = aiVal;
+  if (heard.length === 1) {
+    const byLetter = candidates.filter((c) => outwardOf(c).endsWith(heard));
+    if (byLetter.length === 1) return byLetter[0];
   }
 
-  return merged;
+  if (detectYesNo(text) === "yes" && candidates.length === 1) return candidates[0];
+  return null;
 }
 
-async function aiEnhanceQuote(currentQuote, lastUserUtterance) {
-  if (!OPENAI_API_KEY) return null;
-
-  const schema = {
-    type: "object",
-    additionalProperties: false,
-    properties: {
-      intent: { const: "get_quote" },
-      service_category: { type: "string" },
-      domestic_service_type: { type: "string" },
-      commercial_service_type: { type: "string" },
-      domestic_property_type: { type: "string" },
-      commercial_property_type: { type: "string" },
-      job_type: { type: "string" },
-      bedrooms: { type: "number" },
-      bathrooms: { type: "number" },
-      toilets: { type: "number" },
-      kitchens: { type: "number" },
-      postcode: { type: "string" },
-      preferred_hours: { type: "number" },
-      visit_frequency_per_week: { type: "number" },
-      areas_scope: { type: "string" },
-      extras: {
-        type: "array",
-        items: {
-          type: "object",
-          additionalProperties: false,
-          properties: {
-            name: { type: "string" },
-            quantity: { type: "number" },
-          },
-          required: ["name", "quantity"],
-        },
-      },
-      notes: { type: "string" },
-    },
-    required: [
-      "intent",
-      "service_category",
-      "domestic_service_type",
-      "commercial_service_type",
-      "domestic_property_type",
-      "commercial_property_type",
-      "job_type",
-      "bedrooms",
-      "bathrooms",
-      "toilets",
-      "kitchens",
-      "postcode",
-      "preferred_hours",
-      "visit_frequency_per_week",
-      "areas_scope",
-      "extras",
-      "notes",
-    ],
-  };
+/* =========================
+   Room counts (“three bed, two bath”)
+========================= */
 
-  const system = [
-    "Return only JSON that matches the schema.",
-    "GBP only. Never output dollars.",
-    "Do not invent missing values.",
-    "If unsure, keep the field unchanged from current.",
-  ].join(" ");
+const COUNT_WORDS = new Map([
+  ...[...DIGIT_WORDS].filter(([word]) => word !== "oh"),
+  ["ten", "10"],
+  ["eleven", "11"],
+  ["twelve", "12"],
+  ["a", "1"],
+  ["an", "1"],
+  ["single", "1"],
+  ["couple", "2"],
+  ["no", "0"],
+  ["none", "0"],
+]);
 
-  const user = JSON.stringify({
-    current: currentQuote,
-    last_user_utterance: lastUserUtterance,
-    task: "Update only what the caller clearly stated in the last utterance.",
-  });
+const ROOM_NOUNS = new Map([
+  ["bed", "bedrooms"],
+  ["beds", "bedrooms"],
+  ["bedder", "bedrooms"],
+  ["bedroom", "bedrooms"],
+  ["bedrooms", "bedrooms"],
+  ["bedroomed", "bedrooms"],
+  ["bath", "bathrooms"],
+  ["baths", "bathrooms"],
+  ["bathroom", "bathrooms"],
+  ["bathrooms", "bathrooms"],
+  ["ensuite", "bathrooms"],
+  ["ensuites", "bathrooms"],
+  ["toilet", "toilets"],
+  ["toilets", "toilets"],
+  ["loo", "toilets"],
+  ["loos", "toilets"],
+  ["wc", "toilets"],
+  ["wcs", "toilets"],
+  ["cloakroom", "toilets"],
+  ["kitchen", "kitchens"],
+  ["kitchens", "kitchens"],
+  ["kitchenette", "kitchens"],
+]);
 
-  try {
-    const resp = await axios.post(
-      "https://api.openai.com/v1/responses",
-      {
-        model: OPENAI_MODEL || "gpt-4o-mini",
-        input: [
-          { role: "system", content: system },
-          { role: "user", content: user },
-        ],
-        text: {
-          format: {
-            type: "json_schema",
-            name: "quote_state",
-            schema,
-            strict: true,
-          },
-        },
-        temperature: 0,
-      },
-      {
-        headers: {
-          Authorization: `Bearer ${OPENAI_API_KEY}`,
-          "Content-Type": "application/json",
-        },
-        timeout: 12000,
-      }
-    );
+// Singular nouns that mean "one" even without a number ("with an ensuite and a kitchen").
+const IMPLIED_ONE = new Set(["bedroom", "bathroom", "ensuite", "toilet", "loo", "wc", "cloakroom", "kitchen", "kitchenette"]);
 
-    const outputText = resp.data?.output_text;
-    if (!outputText) return null;
+const COUNT_FILLERS = new Set(["of", "the", "separate", "double", "small", "big", "large", "extra", "other", "more", "downstairs", "upstairs", "full", "just"]);
 
-    const parsed = JSON.parse(outputText);
-    return GetQuoteSchema.parse(parsed);
-  } catch {
-    return null;
+function roomTokens(text) {
+  return String(text || "")
+    .toLowerCase()
+    .replace(/en[\s-]?suite/g, "ensuite")
+    .replace(/(shower|wet) rooms?/g, "bathroom")
+    .replace(/(\d)([a-z])/g, "$1 $2")
+    .replace(/[^a-z0-9\s]/g, " ")
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+function countToken(token) {
+  if (/^\d{1,2}$/.test(token)) return Number(token);
+  if (COUNT_WORDS.has(token)) return Number(COUNT_WORDS.get(token));
+  return null;
+}
+
+function countBefore(tokens, i) {
+  for (let j = i - 1, skipped = 0; j >= 0 && skipped <= 3; j--) {
+    const n = countToken(tokens[j]);
+    if (n !== null) return n;
+    if (!COUNT_FILLERS.has(tokens[j])) break;
+    skipped++;
   }
+  return IMPLIED_ONE.has(tokens[i]) ? 1 : null;
 }
 
-/* =========================
-   Routes
-========================= */
+// Returns only the counts the caller actually said, e.g. { bedrooms: 3, bathrooms: 2 }.
+function extractRoomCounts(text) {
+  const tokens = roomTokens(text);
+  const counts = {};
 
-app.get("/health", (req, res) => res.json({ ok: true }));
+  for (let i = 0; i < tokens.length; i++) {
+    const field = ROOM_NOUNS.get(tokens[i]);
+    if (!field) continue;
 
-app.post("/call/start", (req, res) => {
-  const callSid = req.body.CallSid;
-  stateByCallSid.set(callSid, initState());
+    const n = countBefore(tokens, i);
+    if (n === null) continue;
+    counts[field] = (counts[field] || 0) + n;
+  }
 
-  const twiml = new VoiceResponse();
-  gatherSay(
-    twiml,
-    "Hi, you’re through to TotalSpark Solutions. Is the cleaning for a home or for a business premises?"
-  );
+  if (counts.bedrooms === undefined && tokens.includes("studio")) counts.bedrooms = 0;
+  return counts;
+}
 
-  res.type("text/xml").send(twiml.toString());
-});
+// A bare answer like "two" or "none", used when only one count is outstanding.
+function extractBareCount(text) {
+  for (const token of roomTokens(text)) {
+    const n = countToken(token);
+    if (n !== null) return n;
+  }
+  return null;
+}
 
-app.post("/call/input", async (req, res) => {
-  const callSid = req.body.CallSid;
-  const speech = (req.body.SpeechResult || "").trim();
+function missingRoomFields(state, fields) {
+  return fields.filter((f) => !state.room_counts_heard[f]);
+}
 
-  const state = stateByCallSid.get(callSid) || initState();
-  const twiml = new VoiceResponse();
+function applyRoomCounts(state, text, fields) {
+  const counts = extractRoomCounts(text);
+  const missing = missingRoomFields(state, fields);
 
-  if (speech) state.transcript.push(speech);
+  if (missing.length === 1 && counts[missing[0]] === undefined) {
+    const bare = extractBareCount(text);
+    if (bare !== null) counts[missing[0]] = bare;
+  }
 
-  if (!speech) {
-    bumpAttempt(state);
-    gatherSay(twiml, "Sorry, I didn’t catch that. Is it for a home or for a business premises?");
-    stateByCallSid.set(callSid, state);
-    return res.type("text/xml").send(twiml.toString());
+  for (const [field, n] of Object.entries(counts)) {
+    state.quote[field] = n;
+    state.room_counts_heard[field] = true;
   }
+  setSource(state, Object.keys(counts), "detector");
 
-  // AI enhancer (never blocks)
-  const enhanced = await aiEnhanceQuote(state.quote, speech);
-  if (enhanced) state.quote = mergeKeepExisting(state.quote, enhanced);
+  return missingRoomFields(state, fields);
+}
 
-  // Stage flow with deterministic capture per stage
-  if (state.stage === "need_category") {
-    const attempt = bumpAttempt(state);
+// "three bed, two bath, one toilet and a kitchen" answers both room stages at once
+const ROOM_STAGES = {
+  need_rooms: { fields: ["bedrooms", "bathrooms"], next: "need_toilets_kitchens" },
+  need_toilets_kitchens: { fields: ["toilets", "kitchens"], next: "need_extras" },
+};
 
-    const cat = detectCategory(speech);
-    if (!cat) {
-      const prompt =
-        attempt >= 2
-          ? "No worries. Is it a home, like a house or flat, or a business premises, like an office or shop?"
-          : "No problem. Is the cleaning for a home or for a business premises?";
+function skipAnsweredRoomStages(state, stage) {
+  while (ROOM_STAGES[stage] && missingRoomFields(state, ROOM_STAGES[stage].fields).length === 0) stage = ROOM_STAGES[stage].next;
+  return stage;
+}
 
-      gatherSay(twiml, prompt);
-      stateByCallSid.set(callSid, state);
-      return res.type("text/xml").send(twiml.toString());
-    }
+// Empty once every count is in, so the caller is never asked for one they already gave
+function roomsPrompt(state, missing) {
+  if (missing.includes("bedrooms") && missing.includes("bathrooms")) return promptFor(state, "need_rooms");
+  if (missing.includes("toilets") && missing.includes("kitchens")) return promptFor(state, "need_toilets_kitchens");
+  return missing.length === 1 ? promptFor(state, `need_${missing[0]}`) : "";
+}
 
-    state.quote.service_category = cat;
-    resetAttempt(state, "need_category");
-    state.stage = "need_service_type";
+/* =========================
+   Commercial visit details (hours, frequency, areas)
+========================= */
 
-    if (cat === "domestic") {
-      gatherSay(
-        twiml,
-        "Thanks. What type of cleaning do you need for the home? End of tenancy, deep clean, regular cleaning, post-construction, or disinfection."
-      );
-    } else {
-      gatherSay(
-        twiml,
-        "Thanks. What type of commercial cleaning do you need? Regular commercial cleaning, deep clean, post-construction, or disinfection."
-      );
-    }
+// Stage hints go after the tenant's own hints (see toTwiml)
+const FREQUENCY_HINTS = ["once a week", "twice a week", "every weekday", "fortnightly", "monthly", "hours"];
+
+const DAY_NAMES = ["monday", "tuesday", "wednesday", "thursday", "friday", "saturday", "sunday"];
+
+const AREA_TERMS = [
+  [["whole building", "whole premises", "everything", "all areas", "all of it", "the lot"], "whole premises"],
+  [["office", "desk", "workspace"], "office space"],
+  [["reception", "lobby", "entrance"], "reception"],
+  [["meeting room", "boardroom", "conference"], "meeting rooms"],
+  [["toilet", "washroom", "bathroom", "loo", "wc"], "toilets"],
+  [["kitchen", "staff room", "break room", "canteen"], "kitchen"],
+  [["corridor", "hallway"], "corridors"],
+  [["stair"], "stairs"],
+  [["shop floor", "sales floor"], "shop floor"],
+  [["warehouse", "storage", "stock room"], "warehouse and storage"],
+  [["classroom"], "classrooms"],
+  [["changing room", "locker room", "shower"], "changing rooms"],
+  [["treatment room", "consulting room", "surgery"], "treatment rooms"],
+];
 
-    stateByCallSid.set(callSid, state);
-    return res.type("text/xml").send(twiml.toString());
-  }
+function numberToken(token) {
+  if (/^\d+(\.\d+)?$/.test(token)) return Number(token);
+  return countToken(token);
+}
 
-  if (state.stage === "need_service_type") {
-    const attempt = bumpAttempt(state);
-    const cat = state.quote.service_category;
+const HOUR_TOKEN = /^(hours?|hrs?)$/;
 
-    if (cat === "domestic") {
-      const detected = detectDomesticServiceType(speech);
-      state.quote.domestic_service_type = detected || state.quote.domestic_service_type || speech;
-    } else {
-      const detected = detectCommercialServiceType(speech);
-      state.quote.commercial_service_type = detected || state.quote.commercial_service_type || speech;
-    }
+// "a" and "an" only count as one right before "hour" ("an hour"), not in "a cleaner" or "a couple"
+function hoursNumberAt(tokens, i) {
+  if ((tokens[i] === "a" || tokens[i] === "an") && !HOUR_TOKEN.test(tokens[i + 1] || "")) return null;
+  return numberToken(tokens[i]);
+}
 
-    const ok =
-      (cat === "domestic" && !looksLikeNonAnswer(state.quote.domestic_service_type)) ||
-      (cat === "commercial" && !looksLikeNonAnswer(state.quote.commercial_service_type));
+// The number nearest before "hours" is the one that was meant: "a cleaner for 3 hours"
+function hoursPhraseStart(tokens) {
+  const h = tokens.findIndex((tok) => HOUR_TOKEN.test(tok));
+  for (let i = h - 1; i >= 0; i--) {
+    if (hoursNumberAt(tokens, i)) return tokens[i - 1] === "half" ? i - 1 : i;
+  }
+  return 0;
+}
 
-    if (!ok) {
-      const prompt =
-        attempt >= 2
-          ? "Sorry. Is it end of tenancy, deep clean, regular cleaning, post-construction, or disinfection?"
-          : "Which type of cleaning is it? End of tenancy, deep clean, regular cleaning, post-construction, or disinfection?";
+function detectPreferredHours(text) {
+  const t = String(text || "").toLowerCase();
 
-      gatherSay(twiml, prompt);
-      stateByCallSid.set(callSid, state);
-      return res.type("text/xml").send(twiml.toString());
-    }
+  if (/half (a|the) day/.test(t)) return 4;
+  if (/(full|whole|all) day/.test(t)) return 8;
 
-    resetAttempt(state, "need_service_type");
-    state.stage = "need_property_type";
+  const tokens = t.replace(/[^a-z0-9.\s]/g, " ").split(/\s+/).filter(Boolean);
+  for (let i = hoursPhraseStart(tokens); i < tokens.length; i++) {
+    if (tokens[i] === "half") return 0.5;
 
-    if (cat === "domestic") {
-      gatherSay(
-        twiml,
-        "Thanks. What’s the property type? A studio flat, a flat, or a house? If it’s a house, is it terraced, semi-detached, or detached?"
-      );
-    } else {
-      gatherSay(
-        twiml,
-        "Thanks. What type of premises is it? For example office, shop, warehouse, school, clinic, gym, or event venue."
-      );
-    }
+    let n = hoursNumberAt(tokens, i);
+    if (!n) continue;
 
-    stateByCallSid.set(callSid, state);
-    return res.type("text/xml").send(twiml.toString());
+    if (/^(hours? )?and a half/.test(tokens.slice(i + 1, i + 5).join(" "))) n += 0.5;
+    return n <= 24 ? n : null;
   }
 
-  if (state.stage === "need_property_type") {
-    const attempt = bumpAttempt(state);
-    const cat = state.quote.service_category;
+  return null;
+}
 
-    if (cat === "domestic") state.quote.domestic_property_type = speech;
-    else state.quote.commercial_property_type = speech;
+function visitTimes(t) {
+  if (/\bonce\b/.test(t)) return 1;
+  if (/\btwice\b/.test(t)) return 2;
+  if (/\bthrice\b/.test(t)) return 3;
 
-    if (isHighRiskPropertyTypePhrase(speech) && attempt < 2) {
-      gatherSay(
-        twiml,
-        "Just to check, is it a flat, or a house? And if it’s a house, is it terraced, semi-detached, or detached?"
-      );
-      stateByCallSid.set(callSid, state);
-      return res.type("text/xml").send(twiml.toString());
-    }
+  const m = t.match(/\b([a-z]+|\d+) (times|days|visits|mornings|evenings|nights)\b/);
+  if (m) return numberToken(m[1]) || null;
+  return null;
+}
 
-    resetAttempt(state, "need_property_type");
-    state.stage = "need_postcode";
-    state.postcode_attempts = 0;
+// Visits per week: "twice a week" -> 2, "every weekday" -> 5, "fortnightly" -> 0.5.
+function detectVisitFrequency(text) {
+  const t = String(text || "").toLowerCase().replace(/-/g, " ");
+  const times = visitTimes(t);
 
-    gatherSay(
-      twiml,
-      "Thanks. What’s the postcode? You can say it letter by letter, or like S for Sun, W as in Winter.",
-      [...BASE_HINTS, "as in", "for", "like"]
-    );
+  if (/fortnight|every (two|2|other) weeks?|bi ?weekly/.test(t)) return (times || 1) / 2;
+  if (/month/.test(t)) return (times || 1) / 4;
+  if (/week ?days?|monday to friday|mon to fri/.test(t)) return times || 5;
+  if (/every ?day|daily|seven days/.test(t)) return 7;
 
-    stateByCallSid.set(callSid, state);
-    return res.type("text/xml").send(twiml.toString());
-  }
+  const days = DAY_NAMES.filter((d) => t.includes(d)).length;
+  if (days > 0) return days;
 
-  if (state.stage === "need_postcode") {
-    const parsed = extractUkPostcode(speech);
+  if (times) return times;
+  if (/weekly|every week|a week|per week/.test(t)) return 1;
 
-    if (!parsed) {
+  return extractBareCount(t) || null;
+}
+
+function detectAreasScope(text) {
+  const t = String(text || "").toLowerCase();
+  const areas = AREA_TERMS.filter(([terms]) => terms.some((w) => t.includes(w))).map(([, label]) => label);
+  return areas.join(", ");
+}
+
+// After the postcode, domestic callers are asked about rooms and commercial callers about visits.
+function detailsStageFor(state) {
+  if (state.quote.service_category === "commercial") return "need_hours";
+
+  // A studio has no separate bedroom, so only the bathrooms are left to ask about.
+  if (/studio/i.test(state.quote.domestic_property_type)) {
+    state.quote.bedrooms = 0;
+    state.room_counts_heard.bedrooms = true;
+    setSource(state, ["bedrooms"], "detector");
+  }
+  return "need_rooms";
+}
+
+
+/* =========================
+   Extras (“two carpets and the oven”)
+========================= */
+
+const EXTRAS_CATALOGUE = ExtrasCatalogueSchema.parse(
+  JSON.parse(readFileSync(EXTRAS_CATALOGUE_PATH || new URL("./config/extras.json", import.meta.url), "utf8"))
+);
+
+const EXTRAS_HINTS = EXTRAS_CATALOGUE.flatMap((e) => e.aliases);
+
+const NO_EXTRAS = /^(no|nope|none|nothing|no thanks?|no thank you|not really|that'?s (all|it|everything)|i'?m fine|we'?re fine)\b/;
+
+const EXTRAS_FILLERS = new Set(["yes", "yeah", "else", "please", "and", "also", "the", "a", "an", "some", "too", "as", "well", "clean", "cleaning", "cleaned", "done", "i'd", "id", "like", "want", "need", "could", "you", "do", "can", "we", "maybe", "just", "inside", "of", "my", "our"]);
+
+function catalogueMatch(tokens) {
+  for (const entry of EXTRAS_CATALOGUE) {
+    for (const alias of entry.aliases) {
+      const words = alias.toLowerCase().split(/\s+/);
+      const i = tokens.findIndex((t, k) => words.every((w, n) => (tokens[k + n] || "").startsWith(w)));
+      if (i >= 0) return { entry, index: i };
+    }
+  }
+  return null;
+}
+
+// Splits "two carpets and the oven" into catalogue extras; anything unrecognised is returned as unmatched.
+// A "no" only means no extras when nothing from the catalogue follows it ("no, just the oven").
+function extractExtras(text) {
+  const t = String(text || "").toLowerCase().trim();
+  const declined = NO_EXTRAS.test(t);
+
+  const extras = [];
+  const unmatched = [];
+  const segments = t.replace(NO_EXTRAS, "").split(/,|\band\b|\bplus\b|\balso\b|\bwith\b/);
+
+  for (const segment of segments) {
+    // "a" and "an" aren't a spoken number, so they are dropped before counting
+    const tokens = segment
+      .replace(/[^a-z0-9'\s]/g, " ")
+      .split(/\s+/)
+      .filter((tok) => tok && tok !== "a" && tok !== "an");
+    if (tokens.length === 0) continue;
+
+    const match = catalogueMatch(tokens);
+    if (!match) {
+      if (tokens.some((tok) => !EXTRAS_FILLERS.has(tok))) unmatched.push(tokens.join(" "));
+      continue;
+    }
+
+    // Another alias of an extra already heard ("fridge and freezer") only adds to it when a number is said
+    const spoken = countBefore(tokens, match.index);
+    const existing = extras.find((e) => e.name === match.entry.name);
+    if (existing) existing.quantity += spoken || 0;
+    else extras.push({ name: match.entry.name, quantity: spoken || 1 });
+  }
+
+  if (declined && extras.length === 0) return { none: true, extras: [], unmatched: [] };
+  return { none: false, extras, unmatched };
+}
+
+function describeExtras(extras) {
+  const parts = extras.map((e) => (e.quantity > 1 ? `${e.quantity} ${e.name.toLowerCase()}s` : `an ${e.name.toLowerCase()}`.replace(/^an (?![aeiou])/, "a ")));
+  if (parts.length <= 1) return parts.join("");
+  return `${parts.slice(0, -1).join(", ")} and ${parts[parts.length - 1]}`;
+}
+
+function extrasPrompt(state) {
+  const names = EXTRAS_CATALOGUE.slice(0, 6).map((e) => e.name.toLowerCase());
+  return promptFor(state, "need_extras", { examples: `${names.slice(0, -1).join(", ")}, or ${names[names.length - 1]}` });
+}
+
+/* =========================
+   Stage questions, read-back and corrections
+========================= */
+
+const POSTCODE_HINTS = ["as in", "for", "like"];
+
+const PROPERTY_WORDS = [
+  "flat",
+  "apartment",
+  "studio",
+  "maisonette",
+  "house",
+  "terrace",
+  "semi",
+  "detached",
+  "bungalow",
+  "cottage",
+  "office",
+  "shop",
+  "warehouse",
+  "school",
+  "clinic",
+  "gym",
+  "venue",
+  "restaurant",
+  "premises",
+];
+
+// The main question for each stage, used when moving into it and when jumping back to it.
+function questionFor(state) {
+  const domestic = state.quote.service_category === "domestic";
+
+  switch (state.stage) {
+    case "confirm_returning":
+      return promptFor(state, "confirm_returning", { postcode: state.returning.postcode });
+    case "need_service_type":
+      return promptFor(state, domestic ? "need_service_type_domestic" : "need_service_type_commercial");
+    case "need_property_type":
+      return promptFor(state, domestic ? "need_property_type_domestic" : "need_property_type_commercial");
+    case "need_category":
+    case "need_postcode":
+    case "need_hours":
+    case "need_frequency":
+    case "need_areas":
+    case "need_booking_date":
+    case "need_booking_time":
+    case "need_booking_name":
+      return promptFor(state, state.stage);
+    case "confirm_postcode":
+      return `${districtOptions(state.postcode_candidates)} Or say the full postcode again.`;
+    case "postcode_fallback":
+      return "What town are you in, and the nearest landmark or street name?";
+    case "need_rooms":
+      return roomsPrompt(state, missingRoomFields(state, ["bedrooms", "bathrooms"]));
+    case "need_toilets_kitchens":
+      return roomsPrompt(state, missingRoomFields(state, ["toilets", "kitchens"]));
+    case "need_extras":
+      return extrasPrompt(state);
+    case "confirm_summary":
+      return summaryPrompt(state);
+    case "confirm_ai_fields":
+      return aiFieldsPrompt(state);
+    case "confirm_booking":
+      return promptFor(state, "confirm_booking", { price: priceText(state) });
+    default:
+      return "";
+  }
+}
+
+function hintsFor(state) {
+  if (state.stage === "need_postcode" || state.stage === "confirm_postcode") return POSTCODE_HINTS;
+  if (state.stage === "need_hours" || state.stage === "need_frequency") return FREQUENCY_HINTS;
+  if (state.stage === "need_extras") return EXTRAS_HINTS;
+  return [];
+}
+
+// Moves on to the next stage and asks its question. While the caller is correcting one
+// answer from the summary, finishing that stage goes straight back to the summary instead.
+function moveTo(state, reply, stage, lead = "Thanks.") {
+  if (state.correcting) {
+    state.correcting = false;
+    stage = "confirm_summary";
+  }
+
+  state.stage = skipAnsweredRoomStages(state, stage);
+  reply.ask(`${lead} ${questionFor(state)}`.trim(), hintsFor(state));
+}
+
+// A recognised postcode either carries on to the room or visit questions, or ends in the out-of-area offer.
+function acceptPostcode(state, reply, postcode) {
+  state.quote.postcode = postcode;
+  setSource(state, ["postcode"], "detector");
+
+  if (!isCovered(postcode, SERVICE_AREAS)) {
+    state.correcting = false;
+    state.stage = "out_of_area";
+    reply.ask(
+      `Thanks. I got ${postcode}. I’m sorry, we don’t currently cover ${spellOut(outwardOf(postcode))}. We can pass your details to a trusted partner nearby, or have someone from the team call you back. Which would you prefer?`
+    );
+    return;
+  }
+
+  moveTo(state, reply, detailsStageFor(state), `Thanks. I got ${postcode}.`);
+}
+
+function withArticle(phrase) {
+  const p = phrase.replace(/^(it'?s |it is |a |an |the )+/, "");
+  if (/cleaning$/.test(p)) return p;
+  return /^([aeiou]|8|11\b|18\b)/.test(p) ? `an ${p}` : `a ${p}`;
+}
+
+function frequencyPhrase(visits) {
+  if (visits === 0.25) return "once a month";
+  if (visits === 0.5) return "once a fortnight";
+  // "three times a month" is kept as 0.75 a week, but read back by the month
+  if (visits < 1) return `${Math.round(visits * 4)} times a month`;
+  if (visits === 1) return "once a week";
+  if (visits === 2) return "twice a week";
+  if (visits === 7) return "every day";
+  return `${visits} times a week`;
+}
+
+// "a deep clean of a 3-bed semi-detached house in SW1A 1AA, with 2 bathrooms"
+function summaryPhrase(state) {
+  const q = state.quote;
+  const domestic = q.service_category === "domestic";
+  const service = (domestic ? q.domestic_service_type : q.commercial_service_type).toLowerCase().replace(" / ", " and ");
+  const property = (domestic ? q.domestic_property_type : q.commercial_property_type).toLowerCase();
+
+  let what = service ? withArticle(service) : "a clean";
+  if (property) what += ` of ${withArticle(`${domestic && q.bedrooms > 0 ? `${q.bedrooms}-bed ` : ""}${property.replace(/^(it'?s |it is |a |an |the )+/, "")}`)}`;
+  if (q.postcode) what += ` in ${q.postcode}`;
+
+  const details = [];
+  if (domestic && q.bathrooms > 0) details.push(`with ${q.bathrooms} bathroom${q.bathrooms === 1 ? "" : "s"}`);
+  if (!domestic && q.preferred_hours > 0) details.push(`${q.preferred_hours} hours a visit`);
+  if (!domestic && q.visit_frequency_per_week > 0) details.push(frequencyPhrase(q.visit_frequency_per_week));
+  if (!domestic && q.areas_scope) details.push(`covering ${q.areas_scope}`);
+  if (q.extras.length > 0) details.push(`plus ${describeExtras(q.extras)}`);
+
+  return `${what}${details.length ? `, ${details.join(", ")}` : ""}`;
+}
+
+// "So that’s a deep clean of a 3-bed semi-detached house in SW1A 1AA, with 2 bathrooms. Is that right?"
+function summaryPrompt(state) {
+  return promptFor(state, "confirm_summary", { summary: summaryPhrase(state) });
+}
+
+// Going back to a room question asks for both counts again rather than keeping the old ones as heard
+function forgetRoomCounts(state) {
+  if (state.stage === "need_rooms") state.room_counts_heard = { ...state.room_counts_heard, bedrooms: false, bathrooms: false };
+  if (state.stage === "need_toilets_kitchens") state.room_counts_heard = { ...state.room_counts_heard, toilets: false, kitchens: false };
+}
+
+function stripCorrectionLead(text) {
+  return String(text || "")
+    .trim()
+    .replace(/^((no|nope|not quite|sorry|actually|well|wait)\b[\s,.!]*)+/i, "")
+    .replace(/^(it'?s|its|it is|it should be|should be)\s+/i, "");
+}
+
+/*
+Works out which stage a correction belongs to. hasValue means the utterance already carries
+the new answer ("no, it's a flat"), so it can be handed straight to that stage; otherwise the
+caller only named the field ("the postcode is wrong") and the stage question is asked again.
+*/
+function correctionTarget(state, text) {
+  const t = String(text || "").toLowerCase();
+  const q = state.quote;
+  const domestic = q.service_category === "domestic";
+
+  const category = detectCategory(t);
+  if (category && category !== q.service_category) return { stage: "need_category", hasValue: true };
+
+  if (extractUkPostcode(t)) return { stage: "need_postcode", hasValue: true };
+
+  const counts = Object.keys(extractRoomCounts(t));
+  if (domestic && counts.some((f) => f === "bedrooms" || f === "bathrooms")) return { stage: "need_rooms", hasValue: true };
+  if (domestic && counts.length > 0) return { stage: "need_toilets_kitchens", hasValue: true };
+
+  const serviceType = detectServiceType(t, serviceCatalogue(state));
+  if (serviceType) return { stage: "need_service_type", hasValue: true };
+
+  if (PROPERTY_WORDS.some((w) => t.includes(w))) return { stage: "need_property_type", hasValue: true };
+
+  if (!domestic && /hour|half a day|full day/.test(t) && detectPreferredHours(t)) return { stage: "need_hours", hasValue: true };
+  if (!domestic && /week|fortnight|month|daily|every ?day|times/.test(t) && detectVisitFrequency(t)) return { stage: "need_frequency", hasValue: true };
+  if (!domestic && /area|cover/.test(t) && detectAreasScope(t)) return { stage: "need_areas", hasValue: true };
+
+  if (catalogueMatch(t.split(/\s+/))) return { stage: "need_extras", hasValue: true };
+
+  const named = [
+    [/postcode|post code|address/, "need_postcode"],
+    [domestic && /bed|bath|rooms/, "need_rooms"],
+    [domestic && /toilet|kitchen/, "need_toilets_kitchens"],
+    [/property|premises|building/, "need_property_type"],
+    [/type of clean|service|kind of clean/, "need_service_type"],
+    [!domestic && /hour/, "need_hours"],
+    [!domestic && /often|frequency|visits/, "need_frequency"],
+    [!domestic && /area/, "need_areas"],
+    [/extra|add on|add-on/, "need_extras"],
+  ].find(([re]) => re && re.test(t));
+
+  return named ? { stage: named[1], hasValue: false } : null;
+}
+
+/* =========================
+   Field sources
+   Every quote field records where its value came from: "detector" (the deterministic capture
+   for a stage), "ai" (filled by the AI enhancer) or "caller" (confirmed by the caller). A "yes"
+   to the summary confirms the fields it read out; any other AI-filled field is read back on its
+   own before the quote is priced, even if the summary was never confirmed, and dropped if the
+   caller doesn't confirm it. Only values a detector recognised are tagged, so the caller's raw
+   words kept as a fallback have no source.
+========================= */
+
+// A field the caller confirmed stays confirmed
+function setSource(state, fields, source) {
+  for (const field of fields) {
+    if (state.field_sources[field] !== "caller" || source === "caller") state.field_sources[field] = source;
+  }
+}
+
+// The fields summaryPrompt reads out
+function summaryFields(quote) {
+  return quote.service_category === "domestic"
+    ? ["service_category", "domestic_service_type", "domestic_property_type", "bedrooms", "bathrooms", "postcode", "extras"]
+    : [
+        "service_category",
+        "commercial_service_type",
+        "commercial_property_type",
+        "postcode",
+        "preferred_hours",
+        "visit_frequency_per_week",
+        "areas_scope",
+        "extras",
+      ];
+}
+
+// Every field that applies to the call's category; the other category's fields are never read back,
+// and intent and notes are never priced so they don't need confirming
+function quoteFields(quote) {
+  return [...summaryFields(quote), "job_type", "toilets", "kitchens"];
+}
+
+const SHARED_FIELDS = ["postcode", "job_type", "toilets", "kitchens", "extras", "notes"];
+
+function unconfirmedAiFields(state) {
+  const fields = quoteFields(state.quote);
+  return Object.entries(state.field_sources)
+    .filter(([field, source]) => source === "ai" && fields.includes(field) && hasValue(state.quote[field]))
+    .map(([field]) => field);
+}
+
+const COUNT_NOUNS = { bedrooms: "bedroom", bathrooms: "bathroom", toilets: "separate toilet", kitchens: "kitchen" };
+
+// How each field is read back on its own, e.g. "I also noted a deep clean and 2 bathrooms"
+const FIELD_PHRASES = {
+  service_category: (value) => `${value} cleaning`,
+  domestic_service_type: (value) => withArticle(value.toLowerCase()),
+  commercial_service_type: (value) => withArticle(value.toLowerCase()),
+  domestic_property_type: (value) => withArticle(value.toLowerCase()),
+  commercial_property_type: (value) => withArticle(value.toLowerCase()),
+  job_type: (value) => `the job as ${value.toLowerCase()}`,
+  postcode: (value) => `the postcode ${value}`,
+  preferred_hours: (value) => `${value} hours a visit`,
+  visit_frequency_per_week: (value) => frequencyPhrase(value),
+  areas_scope: (value) => `covering ${value}`,
+  extras: (value) => describeExtras(value),
+};
+
+function describeField(quote, field) {
+  const value = quote[field];
+  if (COUNT_NOUNS[field]) return `${value} ${COUNT_NOUNS[field]}${value === 1 ? "" : "s"}`;
+  return FIELD_PHRASES[field](value);
+}
+
+function aiFieldsPrompt(state) {
+  const parts = unconfirmedAiFields(state).map((field) => describeField(state.quote, field));
+  const list = parts.length <= 1 ? parts.join("") : `${parts.slice(0, -1).join(", ")} and ${parts.at(-1)}`;
+  return `I also noted ${list}. Is that right?`;
+}
+
+/* =========================
+   AI enhancer (optional)
+   This must never block progress. The model behind it is picked by LLM_PROVIDER (lib/llm.js).
+========================= */
+
+function hasValue(value) {
+  return (
+    (typeof value === "string" && value.trim().length > 0) ||
+    (typeof value === "number" && value !== 0) ||
+    (Array.isArray(value) && value.length > 0)
+  );
+}
+
+function mergeKeepExisting(current, ai) {
+  const merged = { ...current };
+
+  for (const k of Object.keys(current)) {
+    if (!hasValue(current[k]) && hasValue(ai[k])) merged[k] = ai[k];
+  }
+
+  return merged;
+}
+
+function changedFields(before, after) {
+  return Object.keys(after).filter((k) => JSON.stringify(before[k]) !== JSON.stringify(after[k]));
+}
+
+const AI_TIMEOUT = Number(AI_TIMEOUT_MS) || 12000;
+const AI_SLOW = Number(AI_SLOW_MS) || 4000;
+
+// Same shape as GetQuoteSchema; every provider is asked for it and checked against it
+const QUOTE_JSON_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    intent: { const: "get_quote" },
+    service_category: { type: "string" },
+    domestic_service_type: { type: "string" },
+    commercial_service_type: { type: "string" },
+    domestic_property_type: { type: "string" },
+    commercial_property_type: { type: "string" },
+    job_type: { type: "string" },
+    bedrooms: { type: "number" },
+    bathrooms: { type: "number" },
+    toilets: { type: "number" },
+    kitchens: { type: "number" },
+    postcode: { type: "string" },
+    preferred_hours: { type: "number" },
+    visit_frequency_per_week: { type: "number" },
+    areas_scope: { type: "string" },
+    extras: {
+      type: "array",
+      items: {
+        type: "object",
+        additionalProperties: false,
+        properties: {
+          name: { type: "string" },
+          quantity: { type: "number" },
+        },
+        required: ["name", "quantity"],
+      },
+    },
+    notes: { type: "string" },
+  },
+  required: [
+    "intent",
+    "service_category",
+    "domestic_service_type",
+    "commercial_service_type",
+    "domestic_property_type",
+    "commercial_property_type",
+    "job_type",
+    "bedrooms",
+    "bathrooms",
+    "toilets",
+    "kitchens",
+    "postcode",
+    "preferred_hours",
+    "visit_frequency_per_week",
+    "areas_scope",
+    "extras",
+    "notes",
+  ],
+};
+
+const AI_SYSTEM_PROMPT = [
+  "Return only JSON that matches the schema.",
+  "GBP only. Never output dollars.",
+  "Do not invent missing values.",
+  "If unsure, keep the field unchanged from current.",
+].join(" ");
+
+// LLM_PROVIDER=rules: the deterministic detectors stand in for a model, for offline runs.
+// services is the tenant's service catalogue.
+function rulesExtract(current, utterance, services) {
+  const fields = { ...extractRoomCounts(utterance) };
+
+  // Every call starts out "domestic" (see emptyQuote), so a category named in this utterance wins.
+  // Only that category's fields are filled.
+  const category = detectCategory(utterance) || current.service_category;
+  if (category !== current.service_category) fields.service_category = category;
+
+  if (category === "domestic") {
+    fields.domestic_service_type = detectServiceType(utterance, services.domestic);
+    fields.domestic_property_type = detectDomesticPropertyType(utterance) || "";
+  }
+  if (category === "commercial") {
+    fields.commercial_service_type = detectServiceType(utterance, services.commercial);
+    fields.commercial_property_type = detectCommercialPropertyType(utterance) || "";
+  }
+
+  const postcode = extractUkPostcode(utterance);
+  if (postcode) fields.postcode = postcode;
+
+  // Empty values never overwrite, so unmatched detectors leave the field as it was
+  return Object.fromEntries(Object.entries(fields).filter(([, value]) => hasValue(value)));
+}
+
+const llm = createLlmProvider({
+  provider: LLM_PROVIDER || "openai",
+  // OPENAI_API_KEY is never sent to a self-hosted server
+  apiKey: (LLM_PROVIDER || "openai") === "openai" ? OPENAI_API_KEY : LLM_API_KEY,
+  baseUrl: LLM_BASE_URL,
+  model: LLM_MODEL || OPENAI_MODEL,
+  timeoutMs: AI_TIMEOUT,
+  extract: rulesExtract,
+});
+
+// Errors and replies slower than AI_SLOW_MS count as failures; once it opens, turns skip the model
+const aiBreaker = createCircuitBreaker({
+  failureThreshold: Number(AI_BREAKER_FAILURES) || 3,
+  cooldownMs: Number(AI_BREAKER_COOLDOWN_MS) || 60_000,
+});
+
+// Returns { quote, result }: quote is null unless the provider replied with a valid one
+async function aiEnhanceQuote(currentQuote, lastUserUtterance, services) {
+  if (!llm) return { quote: null, result: "off" };
+
+  if (!aiBreaker.canRequest()) {
+    aiEnhanceResults.inc({ result: "circuit_open" });
+    return { quote: null, result: "circuit_open" };
+  }
+
+  const user = JSON.stringify({
+    current: currentQuote,
+    last_user_utterance: lastUserUtterance,
+    task: "Update only what the caller clearly stated in the last utterance.",
+  });
+
+  const started = performance.now();
+  let result = "ok";
+  let quote = null;
+
+  try {
+    const outputText = await llm.complete({
+      system: AI_SYSTEM_PROMPT,
+      user,
+      schema: QUOTE_JSON_SCHEMA,
+      current: currentQuote,
+      utterance: lastUserUtterance,
+      services,
+    });
+
+    if (outputText) quote = GetQuoteSchema.parse(JSON.parse(outputText));
+    else result = "empty";
+  } catch (err) {
+    result = aiFailure(err);
+    log.warn("ai_enhance_failed", { provider: llm.name, result, error: err.code || err.name || "error" });
+  }
+
+  // A slow reply is still used, but counts against the breaker
+  const seconds = (performance.now() - started) / 1000;
+  if (result === "ok" && seconds * 1000 > AI_SLOW) result = "slow";
+  aiEnhanceSeconds.observe(seconds);
+  aiEnhanceResults.inc({ result });
+
+  if (result === "ok") {
+    aiBreaker.success();
+  } else {
+    const before = aiBreaker.state();
+    aiBreaker.failure();
+    if (before !== "open" && aiBreaker.state() === "open") log.warn("ai_circuit_open", { result });
+  }
+
+  return { quote, result };
+}
+
+function aiFailure(err) {
+  if (err instanceof z.ZodError) return "schema_invalid";
+  if (err instanceof SyntaxError) return "invalid_json";
+  if (err.code === "ECONNABORTED" || err.code === "ETIMEDOUT") return "timeout";
+  return "error";
+}
+
+/* =========================
+   Make webhooks (quote pricing and booking)
+========================= */
+
+const WEBHOOK_TIMEOUT_MS = Number(MAKE_WEBHOOK_TIMEOUT_MS) || 5000;
+const WEBHOOK_RETRIES = MAKE_WEBHOOK_RETRIES === undefined ? 1 : Number(MAKE_WEBHOOK_RETRIES);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Posts to a Make scenario, retrying on errors. Returns the response body, or null if every attempt failed.
+async function postToWebhook(url, payload) {
+  if (!url) return null;
+
+  for (let attempt = 0; attempt <= WEBHOOK_RETRIES; attempt++) {
+    try {
+      const resp = await axios.post(url, payload, { timeout: WEBHOOK_TIMEOUT_MS });
+      return resp.data ?? "";
+    } catch (err) {
+      // Make webhook URLs carry their secret in the path, so only the host is logged
+      log.warn("webhook_failed", { host: URL.canParse(url) ? new URL(url).host : "invalid", attempt: attempt + 1, error: err.code || err.message });
+      if (attempt < WEBHOOK_RETRIES) await sleep(500 * (attempt + 1));
+    }
+  }
+
+  return null;
+}
+
+// Make scenarios reply with a bare number, a string like "£120", or an object with a price field.
+function parsePrice(data) {
+  if (typeof data === "number") return data > 0 ? data : null;
+
+  if (typeof data === "string") {
+    try {
+      return parsePrice(JSON.parse(data));
+    } catch {
+      const m = data.replace(/,/g, "").match(/\d+(\.\d{1,2})?/);
+      return m ? parsePrice(Number(m[0])) : null;
+    }
+  }
+
+  if (data && typeof data === "object") {
+    const value = data.price ?? data.quote_price ?? data.total ?? data.amount ?? data.quote?.price;
+    return value === undefined ? null : parsePrice(value);
+  }
+
+  return null;
+}
+
+// quote is the validated copy of state.quote
+async function requestQuotePrice(callSid, state, quote) {
+  const data = await postToWebhook(tenantFor(state).webhooks.quote, {
+    call_sid: callSid,
+    tenant: state.tenant,
+    quote,
+    field_sources: state.field_sources,
+    transcript: state.transcript,
+  });
+  return data === null ? null : parsePrice(data);
+}
+
+// Make replies with the reference as a bare string or inside an object.
+function parseBookingReference(data) {
+  if (typeof data === "number") return String(data);
+
+  if (typeof data === "string") {
+    try {
+      return parseBookingReference(JSON.parse(data));
+    } catch {
+      // A bare "Accepted" is Make's default reply when the scenario has no webhook response
+      const ref = data.trim();
+      return /^(?=.*\d)[A-Za-z0-9-]{3,20}$/.test(ref) ? ref.toUpperCase() : "";
+    }
+  }
+
+  if (data && typeof data === "object") {
+    const value = data.reference ?? data.booking_reference ?? data.ref ?? data.id;
+    return value === undefined ? "" : parseBookingReference(value);
+  }
+
+  return "";
+}
+
+async function requestBooking(callSid, state) {
+  const data = await postToWebhook(tenantFor(state).webhooks.booking, {
+    call_sid: callSid,
+    tenant: state.tenant,
+    quote: state.quote,
+    price: state.quote_price,
+    estimate: state.quote_estimate,
+    booking: state.booking,
+    transcript: state.transcript,
+  });
+  return data === null ? "" : parseBookingReference(data);
+}
+
+// "AB123" -> "A B 1 2 3" so references are read character by character
+function spellOut(reference) {
+  return String(reference).replace(/-/g, "").split("").join(" ");
+}
+
+function formatGbp(amount) {
+  const text = new Intl.NumberFormat("en-GB", { style: "currency", currency: "GBP" }).format(amount);
+  return text.replace(/\.00$/, "");
+}
+
+/* =========================
+   Local price estimate (fallback when Make can’t price)
+========================= */
+
+const RATE_CARD = RateCardSchema.parse(
+  JSON.parse(readFileSync(RATE_CARD_PATH || new URL("./config/rate-card.json", import.meta.url), "utf8"))
+);
+
+function estimateQuote(quote) {
+  try {
+    return estimatePrice(quote, RATE_CARD);
+  } catch {
+    return null;
+  }
+}
+
+// "£120" for a Make price, "between £150 and £205 per visit" for a local estimate
+function priceText(state) {
+  if (state.quote_price !== null) return formatGbp(state.quote_price);
+
+  const { low, high, basis } = state.quote_estimate;
+  return `between ${formatGbp(low)} and ${formatGbp(high)} ${basis}`;
+}
+
+/* =========================
+   End-of-call summary (abandoned leads)
+========================= */
+
+// Calls that ended with a price or a booking already reached Make; anything else needs a call back.
+const COMPLETED_OUTCOMES = new Set(["quoted", "booked", "handoff"]);
+
+function buildCallSummary(callSid, state, status = {}) {
+  return {
+    call_sid: callSid,
+    channel: state.channel || "voice",
+    tenant: state.tenant || BASE_TENANT.id,
+    started_at: state.started_at || "",
+    from: status.From || state.caller || "",
+    to: status.To || "",
+    call_status: status.CallStatus || "",
+    duration_seconds: Number(status.CallDuration) || 0,
+    outcome: state.outcome || "abandoned",
+    stage_reached: state.stage,
+    quote: state.quote,
+    quote_price: state.quote_price,
+    quote_estimate: state.quote_estimate,
+    booking: state.booking,
+    booking_reference: state.booking_reference,
+    stage_attempts: state.stage_attempts,
+    postcode_attempts: state.postcode_attempts,
+    handoff: state.handoff,
+    after_hours: state.after_hours,
+    returning_customer: state.returning,
+    follow_up_sms: state.follow_up_sms,
+    field_sources: state.field_sources,
+    transcript: state.transcript,
+  };
+}
+
+/* =========================
+   Business hours and bank holidays
+========================= */
+
+const CALENDAR = {
+  hours: BusinessHoursSchema.parse(
+    JSON.parse(readFileSync(BUSINESS_HOURS_PATH || new URL("./config/business-hours.json", import.meta.url), "utf8"))
+  ),
+  holidays: new Map(
+    BankHolidaysSchema.parse(
+      JSON.parse(readFileSync(BANK_HOLIDAYS_PATH || new URL("./data/bank-holidays.json", import.meta.url), "utf8"))
+    )["england-and-wales"].events.map((e) => [e.date, e.title])
+  ),
+};
+
+// "at 8am", "tomorrow at 8am", or "on Monday the 28th of December at 8am"
+function openingPhrase({ date, time }, now = new Date()) {
+  const today = londonToday(now);
+  if (date === today) return `at ${spokenTime(time)}`;
+  if (date === addDays(today, 1)) return `tomorrow at ${spokenTime(time)}`;
+  return `on ${spokenDate(date)} at ${spokenTime(time)}`;
+}
+
+// The hello, plus when the office opens again if it's closed
+function welcome(state, now = new Date()) {
+  const hello = promptFor(state, state.returning ? "greeting_returning" : "greeting");
+  if (isOpen(CALENDAR, now)) return hello;
+
+  const opening = nextOpening(CALENDAR, now);
+  const closed = opening
+    ? promptFor(state, "office_closed_until", { opening: openingPhrase(opening, now) })
+    : promptFor(state, "office_closed");
+  return `${hello} ${closed}`;
+}
+
+function greeting(state, now = new Date()) {
+  return `${welcome(state, now)} ${questionFor(state)}`;
+}
+
+/* =========================
+   Returning callers
+   Callers are recognised by their number. When their last call got as far as a postcode we still
+   cover, the greeting offers that address instead of the category question, and a "yes" fills in
+   the category, property type and postcode so those questions are skipped.
+========================= */
+
+const MAX_SERVICE_HISTORY = 10;
+
+// Twilio's From for a withheld number: "anonymous", "restricted", or +266696687 ("ANONYMOUS" on a keypad)
+const WITHHELD_NUMBER = "+266696687";
+
+// "whatsapp:+447700900123" texts from the same number as "+447700900123" calls. Withheld or
+// malformed numbers give "", so those callers are never recognised or remembered.
+function customerKey(caller) {
+  const phone = String(caller || "").replace(/^whatsapp:/, "");
+  return /^\+[1-9]\d{6,14}$/.test(phone) && phone !== WITHHELD_NUMBER ? phone : "";
+}
+
+// Brands keep separate customers; the default tenant's records stay keyed by the bare number
+function customerId(state) {
+  const phone = customerKey(state.caller);
+  const tenant = tenantFor(state);
+  return phone && tenant !== BASE_TENANT ? `${tenant.id}:${phone}` : phone;
+}
+
+function propertyTypeOf(quote) {
+  return quote.service_category === "domestic" ? quote.domestic_property_type : quote.commercial_property_type;
+}
+
+function serviceTypeOf(quote) {
+  return quote.service_category === "domestic" ? quote.domestic_service_type : quote.commercial_service_type;
+}
+
+async function recogniseCaller(state) {
+  const id = customerId(state);
+  if (!id) return;
+
+  const customer = await customers.get(id);
+  if (!customer?.postcode || !isCovered(customer.postcode, SERVICE_AREAS)) return;
+
+  const { postcode, service_category, property_type, services } = customer;
+  state.returning = { postcode, service_category, property_type, services, confirmed: false };
+  state.stage = "confirm_returning";
+}
+
+function detectSameAddress(text) {
+  if (/same (address|place|one|as (last time|before))/i.test(String(text || ""))) return "yes";
+  return detectYesNo(text);
+}
+
+function useReturningAddress(state) {
+  const { postcode, service_category, property_type } = state.returning;
+  const propertyField = service_category === "domestic" ? "domestic_property_type" : "commercial_property_type";
+
+  state.quote.service_category = service_category;
+  state.quote[propertyField] = property_type;
+  state.quote.postcode = postcode;
+  setSource(state, ["service_category", propertyField, "postcode"], "caller");
+  state.returning.confirmed = true;
+}
+
+// Going back to the address question and saying no undoes a confirmed address
+function forgetReturningAddress(state) {
+  if (!state.returning.confirmed) return;
+  const fields = ["service_category", "domestic_property_type", "commercial_property_type", "postcode"];
+  for (const field of fields) {
+    state.quote[field] = "";
+    delete state.field_sources[field];
+  }
+  state.returning.confirmed = false;
+}
+
+// Remembered once a call has a covered postcode and property type, whatever the outcome
+async function rememberCaller(state) {
+  const phone = customerKey(state.caller);
+  const q = state.quote;
+  if (!phone || !q.postcode || !propertyTypeOf(q) || !isCovered(q.postcode, SERVICE_AREAS)) return;
+
+  const id = customerId(state);
+  const previous = await customers.get(id);
+  const service = {
+    date: state.started_at,
+    service_category: q.service_category,
+    service: serviceTypeOf(q),
+    outcome: state.outcome || "abandoned",
+    price: state.quote_price,
+    booking_reference: state.booking_reference,
+  };
+
+  await customers.save(id, {
+    phone,
+    postcode: q.postcode,
+    service_category: q.service_category,
+    property_type: propertyTypeOf(q),
+    services: [...(previous?.services || []), service].slice(-MAX_SERVICE_HISTORY),
+    last_call_at: new Date().toISOString(),
+  });
+}
+
+/* =========================
+   Human handoff
+   A caller who asks for a person, or is still stuck on a stage after HANDOFF_AFTER_FAILURES tries,
+   goes to staff: a live transfer in business hours, voicemail otherwise. The partial quote is sent
+   to HANDOFF_WEBHOOK_URL and read to the staff member before they are connected.
+========================= */
+
+const HANDOFF_FAILURES = Number(HANDOFF_AFTER_FAILURES) || 3;
+
+function wantsPerson(text) {
+  const t = String(text || "")
+    .toLowerCase()
+    .replace(/\b(estate|letting|lettings|managing) agents?\b/g, " ");
+
+  return (
+    /\b(speak|talk|chat)\s+(to|with)\s+(a |an |the |your )?(someone|somebody|person|human|agent|manager|operator|staff|team|office|real)/.test(t) ||
+    /\b(real person|human being|a human|an agent|an operator|customer service|put me through|transfer me)\b/.test(t)
+  );
+}
+
+// Still on the same stage after too many failed answers, or out of postcode retries
+function isStuck(state) {
+  if (state.stage === "postcode_fallback") return state.postcode_attempts >= 3;
+  return (state.stage_attempts[state.stage] || 0) >= HANDOFF_FAILURES;
+}
+
+// A voice call that keeps failing always hands off: transferCall puts it through when someone can
+// pick up and takes a voicemail otherwise. Text channels carry on with the stage's own fallback.
+function canTransfer(state) {
+  return state.channel === "voice";
+}
+
+function handOff(state, reason) {
+  const reply = createReply();
+  state.handoff = { reason, from_stage: state.stage, voicemail_url: "" };
+  state.stage = "handoff";
+  state.outcome = "handoff";
+
+  reply.say(reason === "caller_request" ? "Of course." : "Sorry, I’m having trouble with that one.");
+  reply.transfer();
+  return reply;
+}
+
+// What the staff member hears before the caller is connected
+function handoffBrief(state) {
+  const why = state.handoff?.reason === "caller_request" ? "The caller asked to speak to someone." : "I couldn’t get past one of the questions.";
+  const q = state.quote;
+  const captured = q.domestic_service_type || q.commercial_service_type || q.postcode;
+  const quote = captured ? `They’re after ${summaryPhrase(state)}.` : "";
+  return `Transferring a caller from the ${tenantFor(state).business_name} quote line. ${why} ${quote}`.trim();
+}
+
+function notifyHandoff(id, state, status = {}) {
+  log.info("handoff", {
+    call_sid: id,
+    reason: state.handoff?.reason,
+    from_stage: state.handoff?.from_stage,
+    voicemail: Boolean(state.handoff?.voicemail_url),
+  });
+  // Not awaited: the caller is already being put through
+  const { webhooks } = tenantFor(state);
+  postToWebhook(webhooks.handoff || webhooks.abandoned_lead, buildCallSummary(id, state, status));
+}
+
+// key is the tenant prompt asking for the message: voicemail_closed, voicemail_unavailable or voicemail_no_answer
+function recordVoicemail(twiml, tenant, key) {
+  say(twiml, tenantPrompt(tenant, key), tenant.voice);
+  twiml.record({ action: "/call/voicemail", method: "POST", maxLength: 120, playBeep: true, finishOnKey: "#" });
+  say(twiml, tenantPrompt(tenant, "voicemail_empty"), tenant.voice);
+  twiml.hangup();
+}
+
+/* =========================
+   SMS follow-up
+   When a phone call ends with a price, a booking or a handoff, the caller gets a text with what was
+   captured, since a postcode read back by voice is easy to mishear. Twilio's delivery updates are
+   written back to the call record via /sms/status.
+========================= */
+
+const SMS_TEMPLATES = SmsTemplatesSchema.parse(
+  JSON.parse(readFileSync(SMS_TEMPLATES_PATH || new URL("./config/sms-templates.json", import.meta.url), "utf8"))
+);
+
+const smsClient = TWILIO_ACCOUNT_SID && TWILIO_AUTH_TOKEN ? twilio(TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN) : null;
+
+// Twilio can only report delivery to a public URL
+const smsStatusCallback = PUBLIC_BASE_URL
+  ? (callSid) => new URL(`/sms/status?call_sid=${encodeURIComponent(callSid)}`, PUBLIC_BASE_URL).toString()
+  : null;
+
+// Each brand texts from its own sms_from (SMS_FROM unless its tenant file sets one)
+const SMS_SENDERS = new Map(
+  [...TENANTS.values()]
+    .filter((tenant) => smsClient && tenant.sms_from)
+    .map((tenant) => [tenant.id, createSmsSender({ client: smsClient, from: tenant.sms_from, statusCallbackFor: smsStatusCallback })])
+);
+
+function followUpKind(state) {
+  if (state.outcome === "booked") return "booked";
+  if (state.outcome === "handoff") return "handoff";
+  if (state.quote_price !== null || state.quote_estimate) return "quoted";
+  return null;
+}
+
+function followUpValues(id, state) {
+  const { business_name, booking_url } = tenantFor(state);
+  const hasPrice = state.quote_price !== null || Boolean(state.quote_estimate);
+  return {
+    business_name,
+    service: serviceTypeOf(state.quote),
+    property: propertyTypeOf(state.quote),
+    postcode: state.quote.postcode,
+    price: hasPrice ? priceText(state) : "",
+    booking_link: booking_url ? renderTemplate(booking_url, { call_sid: encodeURIComponent(id) }) : "",
+    booking_when: state.booking.date ? `${spokenDate(state.booking.date)}, ${state.booking.window_label}` : "",
+    reference: state.booking_reference,
+  };
+}
+
+// Text channels already have everything in writing, so only phone calls get a follow-up
+async function sendFollowUp(id, state) {
+  const kind = followUpKind(state);
+  const to = customerKey(state.caller);
+  const tenant = tenantFor(state);
+  const sender = SMS_SENDERS.get(tenant.id);
+  if (!sender || !kind || state.channel !== "voice" || !to || state.follow_up_sms) return;
+
+  const now = new Date().toISOString();
+  const body = renderTemplate((tenant.sms_templates || SMS_TEMPLATES)[kind], followUpValues(id, state));
+
+  try {
+    const { sid, status } = await sender.send(to, body, id);
+    state.follow_up_sms = { kind, to, sid, status, error_code: null, sent_at: now, updated_at: now };
+    log.info("sms_sent", { call_sid: id, kind, to, status });
+  } catch (err) {
+    const errorCode = err.code ? String(err.code) : null;
+    state.follow_up_sms = { kind, to, sid: "", status: "failed", error_code: errorCode, sent_at: now, updated_at: now };
+    log.warn("sms_failed", { call_sid: id, kind, to, error: err.code || err.message });
+  }
+}
+
+/* =========================
+   Global intents (any stage)
+   Checked before the stage logic: repeat the last question, go back one question, start again,
+   or end the call. history holds the questions already answered, most recent last; it is cleared
+   once the quote goes for pricing, since the price depends on those answers.
+========================= */
+
+const QUESTION_STAGES = new Set([
+  "confirm_returning",
+  "need_category",
+  "need_service_type",
+  "need_property_type",
+  "need_postcode",
+  "confirm_postcode",
+  "postcode_fallback",
+  "need_rooms",
+  "need_toilets_kitchens",
+  "need_hours",
+  "need_frequency",
+  "need_areas",
+  "need_extras",
+  "confirm_summary",
+  "confirm_ai_fields",
+  "confirm_booking",
+  "need_booking_date",
+  "need_booking_time",
+  "need_booking_name",
+]);
+
+function detectGlobalIntent(text) {
+  const t = String(text || "")
+    .toLowerCase()
+    .replace(/[^a-z'\s]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+  if (/^(sorry|pardon|what|eh|huh)( me)?$/.test(t)) return "repeat";
+  if (/\b(say (that|it) again|repeat (that|it|the question)|come again|didn'?t (catch|hear) (that|it|you)|what did you say)\b/.test(t)) return "repeat";
+  if (/\b(go(ing)? back|previous question|back a step|last question again)\b/.test(t)) return "back";
+  if (/\b(start (again|over|afresh)|begin again|from the (start|beginning)|restart)\b/.test(t)) return "restart";
+  if (/^(cancel|stop|never ?mind|forget it|bye|goodbye)\b|\b(cancel (it|this|that|the call)|hang up|don'?t want (a quote|to go ahead|to continue))\b/.test(t)) return "cancel";
+  return null;
+}
+
+// Keeps the previous question on the history stack whenever a turn moves to a new one
+function trackHistory(state, before) {
+  if (state.stage === before) return;
+  if (state.stage === "submit_quote") state.history = [];
+  else if (QUESTION_STAGES.has(before) && QUESTION_STAGES.has(state.stage)) state.history.push(before);
+}
+
+function withoutLead(prompt) {
+  return String(prompt || "").replace(/^((sorry|no problem|thanks|great|no worries|sure)[.,!]\s+)+/i, "");
+}
+
+function handleGlobalIntent(state, intent) {
+  const reply = createReply();
+
+  if (intent === "repeat") {
+    reply.ask(`Of course. ${withoutLead(state.last_prompt) || questionFor(state)}`, hintsFor(state));
+    return reply;
+  }
+
+  if (intent === "back") {
+    const previous = state.history.pop();
+    if (!previous) {
+      reply.ask(`That’s as far back as I can go. ${withoutLead(state.last_prompt) || questionFor(state)}`, hintsFor(state));
+      return reply;
+    }
+
+    // The old answer stays until the caller gives a new one
+    state.correcting = false;
+    resetAttempt(state, previous);
+    state.stage = previous;
+    if (previous === "need_postcode") state.postcode_attempts = 0;
+    forgetRoomCounts(state);
+
+    reply.ask(`Sure, going back. ${questionFor(state)}`, hintsFor(state));
+    return reply;
+  }
+
+  if (intent === "restart") {
+    const { channel, caller, tenant, transcript } = state;
+    Object.assign(state, initState(channel, caller, tenant), { transcript });
+    reply.ask(`No problem, let’s start again. ${questionFor(state)}`);
+    return reply;
+  }
+
+  state.outcome = state.outcome || "cancelled";
+  state.stage = "cancelled";
+  reply.say(`No problem. ${promptFor(state, "goodbye")}`);
+  reply.end();
+  return reply;
+}
+
+/* =========================
+   Conversation (channel-neutral stage machine)
+   The stage machine fills in a reply instead of writing TwiML, so phone calls, SMS/WhatsApp and
+   /chat share the same capture, validation and currency rules. Each channel renders the reply:
+     reply.say(text)          -> said straight away
+     reply.ask(text, hints)   -> the question to wait on (hints only matter for speech)
+     reply.next("quote")      -> carry on with pricing or booking without waiting for the caller
+     reply.end()              -> the conversation is over
+     reply.transfer()         -> hand the caller to a member of staff
+========================= */
+
+function createReply() {
+  const reply = {
+    said: [],
+    question: "",
+    hints: [],
+    step: "",
+    ended: false,
+    handoff: false,
+    audit: {},
+    say(text) {
+      reply.said.push(text);
+    },
+    ask(text, hints = []) {
+      reply.question = text;
+      reply.hints = hints;
+    },
+    next(step) {
+      reply.step = step;
+    },
+    end() {
+      reply.ended = true;
+    },
+    transfer() {
+      reply.handoff = true;
+    },
+  };
+  return reply;
+}
+
+function startReply(state) {
+  const reply = createReply();
+  state.after_hours = !isOpen(CALENDAR);
+  state.last_prompt = greeting(state);
+  reply.ask(state.last_prompt);
+  return reply;
+}
+
+// One caller turn: updates state from what they said and returns the reply to give.
+async function handleUtterance(state, utterance) {
+  const quoteBefore = structuredClone(state.quote);
+  const reply = await routeTurn(state, utterance);
+
+  // Whatever the stage capture changed after the AI enhancer ran, for the turn log
+  reply.audit.captured = changedFields(reply.audit.quote_after_ai || quoteBefore, state.quote);
+
+  if (reply.question) state.last_prompt = reply.question;
+  return reply;
+}
+
+async function routeTurn(state, utterance) {
+  if (wantsPerson(utterance)) {
+    state.transcript.push(String(utterance).trim());
+    const reply = handOff(state, "caller_request");
+    reply.audit.intent = "person";
+    return reply;
+  }
+
+  const intent = detectGlobalIntent(utterance);
+  if (intent) {
+    state.transcript.push(String(utterance).trim());
+    const reply = handleGlobalIntent(state, intent);
+    reply.audit.intent = intent;
+    return reply;
+  }
+
+  const before = state.stage;
+  const reply = await captureTurn(state, utterance);
+  trackHistory(state, before);
+
+  if (!reply.ended && !reply.step && isStuck(state) && canTransfer(state)) return handOff(state, "repeated_failures");
+  return reply;
+}
+
+async function captureTurn(state, utterance) {
+  const reply = createReply();
+  let speech = String(utterance || "").trim();
+
+  if (speech) state.transcript.push(speech);
+
+  if (!speech) {
+    bumpAttempt(state);
+    reply.ask(`Sorry, I didn’t catch that. ${withoutLead(state.last_prompt) || questionFor(state)}`, hintsFor(state));
+    return reply;
+  }
+
+  // AI enhancer (never blocks)
+  const ai = await aiEnhanceQuote(state.quote, speech, tenantFor(state).services);
+  reply.audit.ai = ai.result;
+  if (ai.quote) {
+    // Only fields that apply to the call's category, so a guess never lands in the other one. Until
+    // the category is captured, only the fields both categories share.
+    const known = Boolean(state.field_sources.service_category);
+    const applies = [...quoteFields(state.quote), "notes"].filter((field) => known || SHARED_FIELDS.includes(field));
+    const merged = mergeKeepExisting(state.quote, Object.fromEntries(applies.map((field) => [field, ai.quote[field]])));
+    reply.audit.ai_changed = changedFields(state.quote, merged);
+    setSource(state, reply.audit.ai_changed, "ai");
+    state.quote = merged;
+  }
+  reply.audit.quote_after_ai = structuredClone(state.quote);
+
+  // Stage flow with deterministic capture per stage
+
+  // Read-back before submission. Checked first so a correction can fall through into the stage it corrects.
+  if (state.stage === "confirm_ai_fields") {
+    const attempt = bumpAttempt(state);
+    const answer = detectYesNo(speech);
+
+    if (!answer && attempt < 2) {
+      reply.ask(`Sorry. ${questionFor(state)}`);
+      return reply;
+    }
+
+    const fields = unconfirmedAiFields(state);
+    if (answer === "yes") {
+      setSource(state, fields, "caller");
+    } else {
+      // Left out rather than guessed; the team can check them with the caller
+      const described = fields.map((field) => describeField(state.quote, field)).join(", ");
+      const empty = emptyQuote();
+      for (const field of fields) {
+        state.quote[field] = empty[field];
+        delete state.field_sources[field];
+      }
+      state.quote.notes = `${state.quote.notes || ""} Not confirmed by caller, so left out: ${described}.`;
+    }
+
+    resetAttempt(state, "confirm_ai_fields");
+    state.stage = "submit_quote";
+
+    reply.say(`${answer === "yes" ? "Thanks." : "No problem, I’ve left that out."} One moment while I work out your price.`);
+    reply.next("quote");
+    return reply;
+  }
+
+  if (state.stage === "confirm_summary") {
+    const attempt = bumpAttempt(state);
+    const answer = detectYesNo(speech);
+    const correction = answer === "yes" ? null : correctionTarget(state, stripCorrectionLead(speech));
+
+    if (answer === "yes" || (!correction && attempt >= 3)) {
+      if (answer !== "yes") state.quote.notes = `${state.quote.notes || ""} Summary not confirmed by caller.`;
+
+      resetAttempt(state, "confirm_summary");
+
+      if (answer === "yes") {
+        setSource(state, summaryFields(state.quote).filter((field) => hasValue(state.quote[field])), "caller");
+      }
+
+      // AI guesses are read back before pricing even when the summary itself wasn't confirmed
+      if (unconfirmedAiFields(state).length > 0) {
+        moveTo(state, reply, "confirm_ai_fields", "Thanks.");
+        return reply;
+      }
+
+      state.stage = "submit_quote";
+
+      reply.say("Thanks. One moment while I work out your price.");
+      reply.next("quote");
+      return reply;
+    }
+
+    if (!correction) {
+      const prompt =
+        answer === "no"
+          ? "No problem. What would you like to change? For example the postcode, the property, or the type of clean."
+          : `Sorry. ${summaryPrompt(state)}`;
+
+      reply.ask(prompt);
+      return reply;
+    }
+
+    resetAttempt(state, "confirm_summary");
+    resetAttempt(state, correction.stage);
+    state.stage = correction.stage;
+
+    // A new category changes which questions apply, so that one carries on through the normal flow
+    state.correcting = correction.stage !== "need_category";
+    if (correction.stage === "need_postcode") state.postcode_attempts = 0;
+
+    if (!correction.hasValue) {
+      forgetRoomCounts(state);
+      reply.ask(`Sure. ${questionFor(state)}`, hintsFor(state));
+      return reply;
+    }
+
+    speech = stripCorrectionLead(speech);
+  }
+
+  if (state.stage === "confirm_returning") {
+    const attempt = bumpAttempt(state);
+    const answer = detectSameAddress(speech);
+
+    if (answer === "yes") {
+      resetAttempt(state, "confirm_returning");
+      useReturningAddress(state);
+      moveTo(state, reply, "need_service_type", "Great.");
+      return reply;
+    }
+
+    if (answer !== "no" && !detectCategory(speech) && attempt < 2) {
+      reply.ask(`Sorry. ${questionFor(state)}`);
+      return reply;
+    }
+
+    resetAttempt(state, "confirm_returning");
+    forgetReturningAddress(state);
+    state.stage = "need_category";
+
+    // "No, it's for my office" answers the category question too, so it falls through
+    if (!detectCategory(speech)) {
+      reply.ask(`No problem. ${questionFor(state)}`);
+      return reply;
+    }
+  }
+
+  if (state.stage === "need_category") {
+    const attempt = bumpAttempt(state);
+
+    const cat = detectCategory(speech);
+    if (!cat) {
+      const prompt =
+        attempt >= 2
+          ? "No worries. Is it a home, like a house or flat, or a business premises, like an office or shop?"
+          : "No problem. Is the cleaning for a home or for a business premises?";
+
+      reply.ask(prompt);
+      return reply;
+    }
+
+    state.quote.service_category = cat;
+    setSource(state, ["service_category"], "detector");
+    resetAttempt(state, "need_category");
+    moveTo(state, reply, "need_service_type");
+
+    return reply;
+  }
+
+  if (state.stage === "need_service_type") {
+    const attempt = bumpAttempt(state);
+    const cat = state.quote.service_category;
+
+    const detected = detectServiceType(speech, serviceCatalogue(state));
+    if (cat === "domestic") {
+      state.quote.domestic_service_type = detected || state.quote.domestic_service_type || speech;
+      if (detected) setSource(state, ["domestic_service_type"], "detector");
+    } else {
+      state.quote.commercial_service_type = detected || state.quote.commercial_service_type || speech;
+      if (detected) setSource(state, ["commercial_service_type"], "detector");
+    }
+
+    const ok =
+      (cat === "domestic" && !looksLikeNonAnswer(state.quote.domestic_service_type)) ||
+      (cat === "commercial" && !looksLikeNonAnswer(state.quote.commercial_service_type));
+
+    if (!ok) {
+      reply.ask(`${attempt >= 2 ? "Sorry." : "Sorry, I didn’t catch that."} ${questionFor(state)}`);
+      return reply;
+    }
+
+    resetAttempt(state, "need_service_type");
+    // Returning callers who confirmed their address already have the property type and postcode
+    moveTo(state, reply, state.returning?.confirmed && propertyTypeOf(state.quote) ? detailsStageFor(state) : "need_property_type");
+
+    return reply;
+  }
+
+  if (state.stage === "need_property_type") {
+    const attempt = bumpAttempt(state);
+    const cat = state.quote.service_category;
+
+    const detected = cat === "domestic" ? detectDomesticPropertyType(speech) : detectCommercialPropertyType(speech);
+
+    if (!detected && attempt < 3) {
+      let prompt =
+        cat === "domestic"
+          ? "Sorry. Is it a studio flat, a flat, a maisonette, a bungalow, or a house?"
+          : "Sorry. Is it an office, shop, warehouse, school, clinic, gym, or event venue?";
+      if (cat === "domestic" && /house|home/i.test(speech)) prompt = "Thanks. Is the house terraced, semi-detached, or detached?";
+
+      reply.ask(prompt);
+      return reply;
+    }
+
+    // Keep the caller's own words for the team, since the stored value is normalised
+    const value = detected || speech;
+    const field = cat === "domestic" ? "domestic_property_type" : "commercial_property_type";
+    state.quote[field] = value;
+    if (detected) setSource(state, [field], "detector");
+
+    state.quote.notes = detected
+      ? `${state.quote.notes || ""} Property described as "${speech}".`
+      : `${state.quote.notes || ""} Property type not recognised. Caller said: "${speech}".`;
+
+    resetAttempt(state, "need_property_type");
+    state.postcode_attempts = 0;
+    moveTo(state, reply, "need_postcode");
+
+    return reply;
+  }
+
+  if (state.stage === "need_postcode") {
+    const parsed = extractUkPostcode(speech);
+    const checked = parsed ? checkPostcode(parsed, POSTCODE_DISTRICTS) : { status: "unknown" };
+
+    if (checked.status === "near_miss") {
+      state.postcode_candidates = checked.candidates;
+      state.stage = "confirm_postcode";
+      reply.ask(
+        `I heard ${spellOut(outwardOf(parsed))}, but I can’t find that postcode area. ${districtOptions(checked.candidates)}`,
+        POSTCODE_HINTS
+      );
+      return reply;
+    }
+
+    if (checked.status === "unknown") {
       state.postcode_attempts += 1;
 
       if (state.postcode_attempts === 1) {
-        gatherSay(
-          twiml,
+        reply.ask(
           "Sorry, I didn’t get that. Please say it slowly, letter by letter. For example, S W 1 A, pause, 1 A A."
         );
-        stateByCallSid.set(callSid, state);
-        return res.type("text/xml").send(twiml.toString());
+        return reply;
       }
 
       if (state.postcode_attempts === 2) {
-        gatherSay(
-          twiml,
+        reply.ask(
           "Sorry, one more time. You can also say it like S for Sun, W as in Winter."
         );
-        stateByCallSid.set(callSid, state);
-        return res.type("text/xml").send(twiml.toString());
+        return reply;
       }
 
       state.quote.notes = `${state.quote.notes || ""} Postcode capture failed. Caller said: "${speech}".`;
       state.stage = "postcode_fallback";
+      postcodeResults.inc({ result: "fallback" });
 
-      gatherSay(
-        twiml,
-        "No worries. Postcodes are tricky on calls. What town are you in, and the nearest landmark or street name?"
-      );
-      stateByCallSid.set(callSid, state);
-      return res.type("text/xml").send(twiml.toString());
+      reply.ask(`No worries. Postcodes are tricky on calls. ${questionFor(state)}`);
+      return reply;
     }
 
-    state.quote.postcode = parsed;
-    state.stage = "next_step_rooms";
-    gatherSay(twiml, `Thanks. I got ${parsed}. How many bedrooms and bathrooms is it?`);
-    stateByCallSid.set(callSid, state);
-    return res.type("text/xml").send(twiml.toString());
+    postcodeResults.inc({ result: "heard" });
+    acceptPostcode(state, reply, parsed);
+    return reply;
+  }
+
+  if (state.stage === "confirm_postcode") {
+    const attempt = bumpAttempt(state);
+    const chosen = pickPostcodeCandidate(speech, state.postcode_candidates);
+
+    // The candidates are kept, so going back to this question can offer them again
+    if (chosen) {
+      resetAttempt(state, "confirm_postcode");
+      postcodeResults.inc({ result: "confirmed" });
+      acceptPostcode(state, reply, chosen);
+      return reply;
+    }
+
+    if (attempt >= 2 || detectYesNo(speech) === "no") {
+      resetAttempt(state, "confirm_postcode");
+      state.postcode_attempts += 1;
+      state.stage = "need_postcode";
+      reply.ask("No problem. Please say the full postcode again, slowly, letter by letter.", POSTCODE_HINTS);
+      return reply;
+    }
+
+    reply.ask(`Sorry. ${questionFor(state)}`, POSTCODE_HINTS);
+    return reply;
+  }
+
+  if (state.stage === "out_of_area") {
+    const attempt = bumpAttempt(state);
+    const t = speech.toLowerCase();
+
+    let choice = null;
+    if (/partner|refer|pass|recommend/.test(t)) choice = "referral";
+    else if (/call|ring|phone|back/.test(t)) choice = "callback";
+    else if (detectYesNo(speech) === "no") choice = "none";
+
+    if (!choice && attempt < 2) {
+      reply.ask("Sorry. Would you like us to pass your details to a partner, or have someone call you back?");
+      return reply;
+    }
+
+    resetAttempt(state, "out_of_area");
+    state.stage = "closed";
+    state.outcome = choice === "referral" ? "out_of_area_referral" : choice === "callback" ? "out_of_area_callback" : "out_of_area";
+    state.quote.notes = `${state.quote.notes || ""} Outside service area (${outwardOf(state.quote.postcode)}). Caller chose: ${choice || "no answer"}.`;
+
+    const closing = {
+      referral: "Thanks. We’ll pass your details to a partner who covers your area, and they’ll be in touch.",
+      callback: "Thanks. Someone from the team will call you back shortly.",
+    }[choice];
+
+    reply.say(`${closing || "No problem."} ${promptFor(state, "goodbye")}`);
+    reply.end();
+    return reply;
   }
 
   if (state.stage === "postcode_fallback") {
     state.quote.notes = `${state.quote.notes || ""} Fallback location: "${speech}".`;
-    state.stage = "next_step_rooms";
-    gatherSay(twiml, "Thanks. How many bedrooms and bathrooms is it?");
-    stateByCallSid.set(callSid, state);
-    return res.type("text/xml").send(twiml.toString());
+    moveTo(state, reply, detailsStageFor(state));
+    return reply;
+  }
+
+  if (state.stage === "need_rooms" || state.stage === "need_toilets_kitchens") {
+    const attempt = bumpAttempt(state);
+    const fields = state.stage === "need_rooms" ? ["bedrooms", "bathrooms"] : ["toilets", "kitchens"];
+    const missing = applyRoomCounts(state, speech, fields);
+
+    if (missing.length > 0 && attempt < 3) {
+      const prompt =
+        attempt >= 2
+          ? `Sorry, just the number is fine. ${roomsPrompt(state, missing)}`
+          : roomsPrompt(state, missing);
+
+      reply.ask(prompt);
+      return reply;
+    }
+
+    if (missing.length > 0) {
+      state.quote.notes = `${state.quote.notes || ""} Room counts not confirmed: ${missing.join(", ")}.`;
+    }
+
+    resetAttempt(state, state.stage);
+
+    moveTo(state, reply, state.stage === "need_rooms" ? "need_toilets_kitchens" : "need_extras");
+    return reply;
+  }
+
+  if (state.stage === "need_hours") {
+    const attempt = bumpAttempt(state);
+    const hours = detectPreferredHours(speech);
+
+    if (hours) {
+      state.quote.preferred_hours = hours;
+      setSource(state, ["preferred_hours"], "detector");
+    }
+
+    if (!hours && attempt < 3) {
+      const prompt =
+        attempt >= 2
+          ? "Sorry. About how many hours per visit? For example, two hours, or half a day."
+          : "Roughly how many hours of cleaning do you need each visit?";
+
+      reply.ask(prompt, FREQUENCY_HINTS);
+      return reply;
+    }
+
+    if (!hours) state.quote.notes = `${state.quote.notes || ""} Hours per visit not confirmed. Caller said: "${speech}".`;
+
+    resetAttempt(state, "need_hours");
+    moveTo(state, reply, "need_frequency");
+    return reply;
+  }
+
+  if (state.stage === "need_frequency") {
+    const attempt = bumpAttempt(state);
+    const visits = detectVisitFrequency(speech);
+
+    if (visits) {
+      state.quote.visit_frequency_per_week = visits;
+      setSource(state, ["visit_frequency_per_week"], "detector");
+    }
+
+    if (!visits && attempt < 3) {
+      const prompt =
+        attempt >= 2
+          ? "Sorry. How many visits a week? For example, twice a week, every weekday, or fortnightly."
+          : "How often would you like the cleaning? Once a week, twice a week, every weekday, or fortnightly?";
+
+      reply.ask(prompt, FREQUENCY_HINTS);
+      return reply;
+    }
+
+    if (!visits) state.quote.notes = `${state.quote.notes || ""} Visit frequency not confirmed. Caller said: "${speech}".`;
+
+    resetAttempt(state, "need_frequency");
+    moveTo(state, reply, "need_areas");
+    return reply;
+  }
+
+  if (state.stage === "need_areas") {
+    const attempt = bumpAttempt(state);
+    const detected = detectAreasScope(speech);
+    const areas = detected || (looksLikeNonAnswer(speech) ? "" : speech);
+
+    if (!areas && attempt < 2) {
+      reply.ask("Sorry. Which areas need cleaning? For example offices, toilets and kitchen, or the whole premises.");
+      return reply;
+    }
+
+    if (areas) state.quote.areas_scope = areas;
+    if (detected) setSource(state, ["areas_scope"], "detector");
+    if (!areas) state.quote.notes = `${state.quote.notes || ""} Areas in scope not confirmed. Caller said: "${speech}".`;
+
+    applyRoomCounts(state, speech, ["toilets", "kitchens"]);
+
+    resetAttempt(state, "need_areas");
+    moveTo(state, reply, "need_extras");
+    return reply;
+  }
+
+  if (state.stage === "need_extras") {
+    const attempt = bumpAttempt(state);
+    const { none, extras, unmatched } = extractExtras(speech);
+
+    if (!none && extras.length === 0 && unmatched.length === 0 && attempt < 2) {
+      reply.ask(`Sorry. ${extrasPrompt(state)}`, EXTRAS_HINTS);
+      return reply;
+    }
+
+    for (const extra of extras) {
+      const existing = state.quote.extras.find((e) => e.name === extra.name);
+      if (existing) existing.quantity = extra.quantity;
+      else state.quote.extras.push(extra);
+    }
+    if (extras.length > 0) setSource(state, ["extras"], "detector");
+
+    if (unmatched.length > 0) {
+      state.quote.notes = `${state.quote.notes || ""} Extras requested but not in catalogue: "${unmatched.join('", "')}".`;
+    }
+
+    resetAttempt(state, "need_extras");
+
+    const heard = [];
+    if (extras.length > 0) heard.push(`Got it, ${describeExtras(extras)}.`);
+    if (unmatched.length > 0) heard.push("I’ve noted the rest for the team to check.");
+
+    moveTo(state, reply, "confirm_summary", heard.join(" ") || "Thanks.");
+    return reply;
+  }
+
+  if (state.stage === "confirm_booking") {
+    const attempt = bumpAttempt(state);
+    const answer = detectYesNo(speech);
+
+    if (!answer && attempt < 2) {
+      reply.ask(`Sorry. ${promptFor(state, "confirm_booking", { price: priceText(state) })}`);
+      return reply;
+    }
+
+    resetAttempt(state, "confirm_booking");
+
+    if (answer !== "yes") {
+      state.stage = "quoted";
+      reply.say(`No problem. We’ll send the quote over so you have it. ${promptFor(state, "goodbye")}`);
+      reply.end();
+      return reply;
+    }
+
+    state.stage = "need_booking_date";
+    reply.ask(`Great. ${promptFor(state, "need_booking_date")}`);
+    return reply;
+  }
+
+  if (state.stage === "need_booking_date") {
+    const attempt = bumpAttempt(state);
+    const parsed = parseBookingRequest(speech);
+
+    if (parsed?.window) {
+      state.booking.window_start = parsed.window.start;
+      state.booking.window_end = parsed.window.end;
+      state.booking.window_label = parsed.window.label;
+    }
+    // Cleans are only booked on working days, so offer the next one instead
+    const workingDate = parsed?.date && isWorkingDay(CALENDAR, parsed.date) ? parsed.date : "";
+    if (parsed?.date && !workingDate && attempt < 3) {
+      const holiday = CALENDAR.holidays.get(parsed.date);
+      const alternative = nextWorkingDay(CALENDAR, parsed.date);
+      state.suggested_booking_date = alternative || "";
+
+      reply.ask(
+        `Sorry, we don’t book cleans on ${spokenDate(parsed.date)}${holiday ? `, as it’s ${holiday}` : ""}. ` +
+          (alternative ? `The next day we can do is ${spokenDate(alternative)}. Would that work, or is there another day you’d prefer?` : "Which other day would suit you?")
+      );
+      return reply;
+    }
+
+    if (workingDate) state.booking.date = workingDate;
+    else if (state.suggested_booking_date && detectYesNo(speech) === "yes") state.booking.date = state.suggested_booking_date;
+
+    if (!state.booking.date) {
+      if (attempt >= 3) {
+        state.stage = "booking_pending";
+        state.outcome = "booking_pending";
+        state.quote.notes = `${state.quote.notes || ""} Booking date not captured. Caller said: "${speech}".`;
+        reply.say(`No worries, we’ll call you back to find a time that works. ${promptFor(state, "goodbye")}`);
+        reply.end();
+        return reply;
+      }
+
+      const prompt = parsed?.window
+        ? "Thanks. And which day would that be?"
+        : "Sorry, which day would you like? You can say a day like Tuesday, or a date like the 14th of March.";
+      reply.ask(prompt);
+      return reply;
+    }
+
+    resetAttempt(state, "need_booking_date");
+
+    if (!state.booking.window_label) {
+      state.stage = "need_booking_time";
+      reply.ask(`Thanks, ${spokenDate(state.booking.date)}. ${promptFor(state, "need_booking_time")}`);
+      return reply;
+    }
+
+    state.stage = "need_booking_name";
+    reply.ask(
+      `Thanks, that’s ${spokenDate(state.booking.date)}, ${state.booking.window_label}. ${promptFor(state, "need_booking_name")}`
+    );
+    return reply;
+  }
+
+  if (state.stage === "need_booking_time") {
+    const attempt = bumpAttempt(state);
+    const window = parseTimeWindow(speech);
+
+    if (!window && attempt < 2) {
+      reply.ask("Sorry. Would the morning or the afternoon be better? Or you can give me a time, like after 2pm.");
+      return reply;
+    }
+
+    const chosen = window || parseTimeWindow("any time");
+    state.booking.window_start = chosen.start;
+    state.booking.window_end = chosen.end;
+    state.booking.window_label = chosen.label;
+
+    resetAttempt(state, "need_booking_time");
+    state.stage = "need_booking_name";
+    reply.ask(`Thanks, ${chosen.label}. ${promptFor(state, "need_booking_name")}`);
+    return reply;
+  }
+
+  if (state.stage === "need_booking_name") {
+    const attempt = bumpAttempt(state);
+    const name = extractCallerName(speech);
+
+    if (!name && attempt < 2) {
+      reply.ask("Sorry, what name should the booking be under?");
+      return reply;
+    }
+
+    state.booking.name = name || speech;
+    resetAttempt(state, "need_booking_name");
+    state.stage = "submit_booking";
+
+    reply.say(`Thanks${name ? ` ${name}` : ""}. One moment while I book that in.`);
+    reply.next("book");
+    return reply;
+  }
+
+  // Quote captured (or unknown stage): close the conversation rather than loop
+  reply.say("Thanks, that’s everything I need for your quote. The team will be in touch shortly. Goodbye.");
+  reply.end();
+  return reply;
+}
+
+// Prices the confirmed quote with Make, falling back to the local estimate.
+async function priceQuote(id, state) {
+  const reply = createReply();
+
+  const checked = GetQuoteSchema.safeParse(state.quote);
+  const price = checked.success ? await requestQuotePrice(id, state, checked.data) : null;
+  const estimate = checked.success && price === null ? estimateQuote(checked.data) : null;
+  const source = price !== null ? "make" : estimate ? "estimate" : "none";
+  if (source !== "none") quotesCompleted.inc({ source });
+  log.info("quote_priced", {
+    call_sid: id,
+    valid: checked.success,
+    source,
+    price,
+    estimate: estimate && { low: estimate.low, high: estimate.high, basis: estimate.basis },
+  });
+
+  if (estimate) {
+    state.stage = "confirm_booking";
+    state.outcome = "estimated";
+    state.quote_estimate = estimate;
+
+    reply.ask(`Thanks for waiting. ${promptFor(state, "quote_estimate", { price: priceText(state) })}`);
+    state.last_prompt = reply.question;
+    return reply;
+  }
+
+  if (price === null) {
+    state.stage = "quote_pending";
+    state.outcome = "quote_pending";
+    reply.say(
+      `Sorry, I can’t get the price through right now. We’ll text you the quote shortly. ${promptFor(state, "goodbye")}`
+    );
+    reply.end();
+    return reply;
+  }
+
+  state.stage = "confirm_booking";
+  state.outcome = "quoted";
+  state.quote_price = price;
+
+  reply.ask(`Thanks for waiting. ${promptFor(state, "confirm_booking", { price: priceText(state) })}`);
+  state.last_prompt = reply.question;
+  return reply;
+}
+
+// Sends the booking to Make and reads back the reference.
+async function bookClean(id, state) {
+  const reply = createReply();
+
+  const reference = await requestBooking(id, state);
+  log.info("booking", { call_sid: id, confirmed: Boolean(reference), date: state.booking.date });
+  const when = `${spokenDate(state.booking.date)}, ${state.booking.window_label}`;
+
+  if (!reference) {
+    state.stage = "booking_pending";
+    state.outcome = "booking_pending";
+    reply.say(
+      `Sorry, I couldn’t confirm the booking just now. We’ve noted ${when}, and we’ll text you to confirm. ${promptFor(state, "goodbye")}`
+    );
+    reply.end();
+    return reply;
+  }
+
+  state.stage = "booked";
+  state.outcome = "booked";
+  state.booking_reference = reference;
+
+  reply.say(
+    `You’re booked in for ${when}. Your booking reference is ${spellOut(reference)}. That’s ${spellOut(reference)}. ${promptFor(state, "goodbye")}`
+  );
+  reply.end();
+  return reply;
+}
+
+/* =========================
+   Channels
+========================= */
+
+// Voice: pricing and booking are separate requests so each webhook wait gets Twilio's full response window
+// Spoken in the tenant's voice; the question's stage hints are added to the tenant's own
+function toTwiml(reply, state) {
+  const { voice, hints } = tenantFor(state);
+  const twiml = new VoiceResponse();
+  for (const text of reply.said) say(twiml, text, voice);
+  if (reply.question) gatherSay(twiml, reply.question, [...hints, ...reply.hints], voice);
+  if (reply.step) twiml.redirect({ method: "POST" }, `/call/${reply.step}`);
+  if (reply.handoff) transferCall(twiml, tenantFor(state));
+  if (reply.ended) twiml.hangup();
+  return twiml.toString();
+}
+
+function transferCall(twiml, tenant) {
+  if (!isOpen(CALENDAR)) {
+    recordVoicemail(twiml, tenant, "voicemail_closed");
+    return;
+  }
+  if (!HANDOFF_NUMBER) {
+    recordVoicemail(twiml, tenant, "voicemail_unavailable");
+    return;
+  }
+
+  say(twiml, tenantPrompt(tenant, "handoff_transfer"), tenant.voice);
+  const dial = twiml.dial({ action: "/call/handoff", method: "POST", timeout: 25, answerOnBridge: true });
+  dial.number({ url: "/call/whisper", method: "POST" }, HANDOFF_NUMBER);
+}
+
+function toText(replies, state) {
+  return replies
+    .flatMap((r) => [...r.said, r.question, r.handoff ? promptFor(state, "handoff_text") : ""])
+    .filter(Boolean)
+    .map(safeSpeak)
+    .join(" ");
+}
+
+function recordCall(id, state, status) {
+  return callLog.save({ ...buildCallSummary(id, state, status), updated_at: new Date().toISOString() });
+}
+
+// Every write also refreshes the call's admin record, so calls show up while still in progress
+async function saveState(id, state, status = {}) {
+  countStageReached(state);
+  await stateStore.set(id, state);
+  await recordCall(id, state, status);
+}
+
+// Sends the lead on if it never reached a price or booking, then forgets the conversation.
+async function finishConversation(id, state, status = {}) {
+  log.info("call_finished", {
+    call_sid: id,
+    channel: state.channel,
+    outcome: state.outcome || "abandoned",
+    stage_reached: state.stage,
+    duration_seconds: Number(status.CallDuration) || null,
+  });
+  countStageReached(state);
+  callsFinished.inc({ channel: state.channel, outcome: state.outcome || "abandoned" });
+  await rememberCaller(state);
+
+  if (!COMPLETED_OUTCOMES.has(state.outcome)) {
+    await postToWebhook(tenantFor(state).webhooks.abandoned_lead, buildCallSummary(id, state, status));
+  }
+  await sendFollowUp(id, state);
+  await recordCall(id, state, status);
+  await stateStore.delete(id);
+}
+
+// Answers at these stages are postcodes or names, spelled out in ways the text masking can't catch
+const SENSITIVE_STAGES = new Set(["need_postcode", "confirm_postcode", "postcode_fallback", "need_booking_name"]);
+
+// One log line per turn, so a looping call shows exactly where it is stuck
+function recordTurn(id, before, state, reply, utterance) {
+  if (before.attempts > 0 && !reply.audit.intent) stageRetries.inc({ stage: before.stage });
+
+  log.info("turn", {
+    call_sid: id,
+    channel: state.channel,
+    stage_before: before.stage,
+    stage_after: state.stage,
+    attempt: before.attempts + 1,
+    intent: reply.audit.intent || null,
+    captured: reply.audit.captured,
+    ai: reply.audit.ai || "skipped",
+    ai_changed: reply.audit.ai_changed || [],
+    utterance: SENSITIVE_STAGES.has(before.stage) ? "[redacted]" : String(utterance || "").trim(),
+  });
+}
+
+// The postcode question counts its own attempts
+function turnStart(state) {
+  const attempts = state.stage === "need_postcode" ? state.postcode_attempts : state.stage_attempts[state.stage];
+  return { stage: state.stage, attempts: attempts || 0 };
+}
+
+// A first text that's only a hello gets the greeting and question, not a "didn't catch that"
+const JUST_HELLO = /^(hi|hello|hey|hiya|morning|good (morning|afternoon|evening))( there)?[\s!.,]*$/i;
+
+// Text channels: a new session gets the greeting, and a first message that says more is then answered
+// like any other turn. Pricing and booking run inline before replying.
+// The tenant only matters for a new session; after that it comes from the saved state.
+async function textConversation(id, message, channel, status = {}, tenant = tenantForNumber(status.To)) {
+  const text = String(message || "").trim();
+  let state = await stateStore.get(id);
+  const replies = [];
+  let answer = true;
+
+  if (!state) {
+    state = initState(channel, status.From, tenant.id);
+    await recogniseCaller(state);
+
+    // A first message that already says what they need is answered straight after the welcome
+    answer = Boolean(text) && !JUST_HELLO.test(text);
+    if (answer) {
+      const opening = createReply();
+      state.after_hours = !isOpen(CALENDAR);
+      opening.say(welcome(state));
+      replies.push(opening);
+    } else {
+      if (text) state.transcript.push(text);
+      replies.push(startReply(state));
+    }
+
+    log.info("call_started", {
+      call_sid: id,
+      channel,
+      tenant: state.tenant,
+      from: state.caller,
+      after_hours: state.after_hours,
+      returning: Boolean(state.returning),
+    });
+    callsStarted.inc({ channel });
+  }
+
+  if (answer) {
+    const before = turnStart(state);
+    replies.push(await handleUtterance(state, text));
+    recordTurn(id, before, state, replies.at(-1), text);
+    while (replies.at(-1).step) {
+      replies.push(replies.at(-1).step === "quote" ? await priceQuote(id, state) : await bookClean(id, state));
+    }
   }
 
-  // Placeholder continuation, so the call does not dead-end
-  gatherSay(twiml, "Thanks. Tell me the bedrooms and bathrooms, and we’ll carry on from there.");
-  stateByCallSid.set(callSid, state);
-  return res.type("text/xml").send(twiml.toString());
+  if (replies.at(-1).handoff) notifyHandoff(id, state, status);
+
+  const done = replies.at(-1).ended || replies.at(-1).handoff;
+  if (done) await finishConversation(id, state, status);
+  else await saveState(id, state, status);
+
+  return { state, done, reply: toText(replies, state) };
+}
+
+/* =========================
+   Routes
+========================= */
+
+// Express 4 doesn't catch a rejected handler, so async routes pass their errors on to the error handler
+function route(handler) {
+  return (req, res, next) => handler(req, res).catch(next);
+}
+
+app.get("/health", (req, res) => res.json({ ok: true }));
+
+// Open like /health unless METRICS_TOKEN is set; labels carry no caller data
+if (METRICS_TOKEN) app.use("/metrics", adminAuthMiddleware({ token: METRICS_TOKEN }));
+app.get("/metrics", (req, res) => res.type(METRICS_CONTENT_TYPE).send(metrics.render()));
+
+/* =========================
+   Admin API (bearer token)
+========================= */
+
+app.use("/admin", adminAuthMiddleware({ token: ADMIN_API_TOKEN }));
+
+// from/to are London calendar dates, inclusive
+async function callsBetween({ from, to }) {
+  const calls = await callLog.list();
+  return calls.filter((call) => {
+    const day = londonToday(new Date(call.started_at));
+    return (!from || day >= from) && (!to || day <= to);
+  });
+}
+
+function callListItem(call) {
+  const q = call.quote || {};
+  return {
+    call_sid: call.call_sid,
+    channel: call.channel,
+    tenant: call.tenant,
+    started_at: call.started_at,
+    stage_reached: call.stage_reached,
+    service_category: q.service_category,
+    postcode: q.postcode,
+    outcome: call.outcome,
+    sms_status: call.follow_up_sms?.status || "",
+  };
+}
+
+const CALL_CSV_COLUMNS = [
+  ["call_sid", (c) => c.call_sid],
+  ["channel", (c) => c.channel],
+  ["started_at", (c) => c.started_at],
+  ["tenant", (c) => c.tenant],
+  ["from", (c) => c.from],
+  ["stage_reached", (c) => c.stage_reached],
+  ["outcome", (c) => c.outcome],
+  ["service_category", (c) => c.quote?.service_category],
+  ["service_type", (c) => c.quote?.domestic_service_type || c.quote?.commercial_service_type],
+  ["property_type", (c) => c.quote?.domestic_property_type || c.quote?.commercial_property_type],
+  ["postcode", (c) => c.quote?.postcode],
+  ["bedrooms", (c) => c.quote?.bedrooms],
+  ["bathrooms", (c) => c.quote?.bathrooms],
+  ["extras", (c) => (c.quote?.extras || []).map((e) => `${e.quantity} x ${e.name}`).join("; ")],
+  ["quote_price", (c) => c.quote_price],
+  ["booking_date", (c) => c.booking?.date],
+  ["booking_reference", (c) => c.booking_reference],
+  ["sms_status", (c) => c.follow_up_sms?.status],
+  ["notes", (c) => c.quote?.notes?.trim()],
+  ["transcript", (c) => (c.transcript || []).join(" | ")],
+];
+
+app.get("/admin/calls", route(async (req, res) => {
+  const query = AdminCallsQuerySchema.safeParse(req.query);
+  if (!query.success) return res.status(400).json({ error: "Use from/to as YYYY-MM-DD and limit from 1 to 500" });
+
+  const calls = await callsBetween(query.data);
+  return res.json({ total: calls.length, calls: calls.slice(0, query.data.limit).map(callListItem) });
+}));
+
+app.get("/admin/calls/export", route(async (req, res) => {
+  const query = AdminCallsQuerySchema.safeParse(req.query);
+  if (!query.success) return res.status(400).json({ error: "Use from/to as YYYY-MM-DD and format json or csv" });
+
+  const { from = "all", to = "now", format } = query.data;
+  const calls = await callsBetween(query.data);
+  res.attachment(`calls-${from}-to-${to}.${format}`);
+
+  if (format === "csv") return res.type("text/csv").send(toCsv(calls, CALL_CSV_COLUMNS));
+  return res.json(calls);
+}));
+
+app.get("/admin/calls/:callSid", route(async (req, res) => {
+  const call = await callLog.get(req.params.callSid);
+  if (!call) return res.status(404).json({ error: "Call not found" });
+  return res.json(call);
+}));
+
+// Every /call and /sms route is a Twilio webhook; unsigned requests could forge CallSids and run up OpenAI spend
+const verifyTwilio = twilioSignatureMiddleware({
+  authToken: TWILIO_AUTH_TOKEN,
+  publicBaseUrl: PUBLIC_BASE_URL,
+  enabled: TWILIO_VALIDATE_SIGNATURE !== "false",
 });
+app.use("/call", verifyTwilio);
+app.use("/sms", verifyTwilio);
+
+app.post("/call/start", route(async (req, res) => {
+  const callSid = req.body.CallSid;
+  const state = initState("voice", req.body.From, tenantForNumber(req.body.To).id);
+  await recogniseCaller(state);
+  const reply = startReply(state);
+  log.info("call_started", {
+    call_sid: callSid,
+    channel: "voice",
+    tenant: state.tenant,
+    from: state.caller,
+    after_hours: state.after_hours,
+    returning: Boolean(state.returning),
+  });
+  callsStarted.inc({ channel: "voice" });
+
+  await saveState(callSid, state);
+  res.type("text/xml").send(toTwiml(reply, state));
+}));
+
+app.post("/call/input", route(async (req, res) => {
+  const callSid = req.body.CallSid;
+  const state = (await stateStore.get(callSid)) || initState("voice", req.body.From, tenantForNumber(req.body.To).id);
+
+  const before = turnStart(state);
+  const reply = await handleUtterance(state, req.body.SpeechResult);
+  recordTurn(callSid, before, state, reply, req.body.SpeechResult);
+  if (reply.handoff) notifyHandoff(callSid, state, req.body);
+
+  await saveState(callSid, state);
+  res.type("text/xml").send(toTwiml(reply, state));
+}));
+
+// Played to the staff member when they answer, before the caller is connected
+app.post("/call/whisper", route(async (req, res) => {
+  const state = await stateStore.get(req.body.ParentCallSid || req.body.CallSid);
+  const { voice } = state ? tenantFor(state) : BASE_TENANT;
+  const twiml = new VoiceResponse();
+  say(twiml, state ? handoffBrief(state) : "Transferring a caller from the quote line.", voice);
+  res.type("text/xml").send(twiml.toString());
+}));
+
+// Dial finished: nothing more to do if staff answered, otherwise take a message
+app.post("/call/handoff", route(async (req, res) => {
+  const twiml = new VoiceResponse();
+
+  if (req.body.DialCallStatus === "completed") twiml.hangup();
+  else recordVoicemail(twiml, tenantForNumber(req.body.To), "voicemail_no_answer");
+
+  res.type("text/xml").send(twiml.toString());
+}));
+
+app.post("/call/voicemail", route(async (req, res) => {
+  const callSid = req.body.CallSid;
+  const state = (await stateStore.get(callSid)) || initState("voice", req.body.From, tenantForNumber(req.body.To).id);
+
+  state.handoff = { ...(state.handoff || { reason: "caller_request", from_stage: state.stage }), voicemail_url: req.body.RecordingUrl || "" };
+  state.outcome = "handoff";
+  notifyHandoff(callSid, state, req.body);
+  await saveState(callSid, state);
+
+  const twiml = new VoiceResponse();
+  say(twiml, promptFor(state, "voicemail_received"), tenantFor(state).voice);
+  twiml.hangup();
+  res.type("text/xml").send(twiml.toString());
+}));
+
+// Pricing and booking run in their own requests so each webhook wait gets Twilio's full response window
+app.post("/call/quote", route(async (req, res) => {
+  const callSid = req.body.CallSid;
+  const state = (await stateStore.get(callSid)) || initState();
+
+  const reply = await priceQuote(callSid, state);
+  await saveState(callSid, state);
+  res.type("text/xml").send(toTwiml(reply, state));
+}));
 
-const port = process.env.PORT || 8080;
-app.listen(port, () => {
-  console.log(`Server listening on ${port}`);
-  if (MAKE_GETQUOTE_WEBHOOK_URL) console.log("MAKE_GETQUOTE_WEBHOOK_URL set");
-  if (MAKE_CONFIRMBOOKING_WEBHOOK_URL) console.log("MAKE_CONFIRMBOOKING_WEBHOOK_URL set");
+app.post("/call/book", route(async (req, res) => {
+  const callSid = req.body.CallSid;
+  const state = (await stateStore.get(callSid)) || initState();
+
+  const reply = await bookClean(callSid, state);
+  await saveState(callSid, state);
+  res.type("text/xml").send(toTwiml(reply, state));
+}));
+
+// Point the Twilio number's call status callback here so finished calls are dropped straight away
+const FINISHED_CALL_STATUSES = new Set(["completed", "busy", "failed", "no-answer", "canceled"]);
+
+app.post("/call/status", route(async (req, res) => {
+  const callSid = req.body.CallSid;
+  if (!callSid || !FINISHED_CALL_STATUSES.has(req.body.CallStatus)) return res.sendStatus(204);
+
+  const state = await stateStore.get(callSid);
+  if (state) await finishConversation(callSid, state, req.body);
+  return res.sendStatus(204);
+}));
+
+// Delivery updates for follow-up texts, matched to the call by the call_sid in the callback URL
+app.post("/sms/status", route(async (req, res) => {
+  const parsed = SmsStatusSchema.safeParse(req.body);
+  const call = parsed.success ? await callLog.get(String(req.query.call_sid || "")) : null;
+  const sms = call?.follow_up_sms;
+  if (!sms || sms.sid !== parsed.data.MessageSid) return res.sendStatus(204);
+
+  const { MessageStatus, ErrorCode } = parsed.data;
+  if (isNewerStatus(MessageStatus, sms.status)) {
+    const updated = { ...sms, status: MessageStatus, error_code: ErrorCode || null, updated_at: new Date().toISOString() };
+    await callLog.save({ ...call, follow_up_sms: updated });
+  }
+  return res.sendStatus(204);
+}));
+
+// Twilio Messaging webhook for SMS and WhatsApp; the sender's number and the number they texted key the
+// conversation, so texting a second brand starts its own
+app.post("/sms/inbound", route(async (req, res) => {
+  const { From = "", To = "", Body } = req.body;
+  const channel = From.startsWith("whatsapp:") ? "whatsapp" : "sms";
+
+  const { reply } = await textConversation(`sms:${To}:${From}`, Body, channel, { From, To });
+
+  const twiml = new MessagingResponse();
+  twiml.message(reply);
+  res.type("text/xml").send(twiml.toString());
+}));
+
+// Web chat is open to anyone and every message can reach the AI enhancer, so each client IP is limited
+const chatLimiter = createRateLimiter({ limit: Number(CHAT_RATE_LIMIT) || 30, windowMs: 60_000 });
+
+// Web chat: POST { session_id?, tenant?, message } -> { session_id, reply, stage, done }
+app.post("/chat", route(async (req, res) => {
+  const { allowed, retryAfterMs } = chatLimiter.take(req.ip);
+  if (!allowed) {
+    res.set("Retry-After", String(Math.ceil(retryAfterMs / 1000)));
+    return res.status(429).json({ error: "Too many messages, please try again shortly" });
+  }
+
+  const parsed = ChatRequestSchema.safeParse(req.body || {});
+  if (!parsed.success) return res.status(400).json({ error: "Expected { session_id?, tenant?, message }" });
+
+  // Each brand's chat widget sends its tenant id; without one the default tenant answers
+  const tenant = parsed.data.tenant ? TENANTS.get(parsed.data.tenant) : BASE_TENANT;
+  if (!tenant) return res.status(400).json({ error: "Unknown tenant" });
+
+  const sessionId = parsed.data.session_id || randomUUID();
+  const { state, done, reply } = await textConversation(`chat:${sessionId}`, parsed.data.message, "chat", {}, tenant);
+
+  return res.json({ session_id: sessionId, reply, stage: state.stage, done });
+}));
+
+/* =========================
+   Errors
+   Anything a route throws ends up here. Twilio gets TwiML it can play, since a 500 is read out
+   to the caller as an application error; everything else gets a JSON 500.
+========================= */
+
+const ERROR_APOLOGY = "Sorry, something went wrong on our side. Please try again in a few minutes.";
+
+app.use((err, req, res, next) => {
+  if (res.headersSent) return next(err);
+  // A body that won't parse keeps the body parser's 400
+  if (err.status >= 400 && err.status < 500) return res.status(err.status).json({ error: "Bad request" });
+
+  log.error("request_failed", { path: req.path, call_sid: req.body?.CallSid, error: err.code || err.message });
+
+  if (req.path.startsWith("/call/")) {
+    const twiml = new VoiceResponse();
+    say(twiml, `${ERROR_APOLOGY} Goodbye.`, tenantForNumber(req.body?.To).voice);
+    twiml.hangup();
+    return res.type("text/xml").send(twiml.toString());
+  }
+  if (req.path === "/sms/inbound") {
+    const twiml = new MessagingResponse();
+    twiml.message(ERROR_APOLOGY);
+    return res.type("text/xml").send(twiml.toString());
+  }
+  return res.status(500).json({ error: "Something went wrong" });
 });
+
+// The test harness imports the app and listens itself
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = process.env.PORT || 8080;
+  app.listen(port, () => {
+    log.info("server_started", {
+      port: Number(port),
+      tenants: [...TENANTS.keys()],
+      quote_webhook: Boolean(BASE_TENANT.webhooks.quote),
+      booking_webhook: Boolean(BASE_TENANT.webhooks.booking),
+      ai_enhancer: llm ? llm.name : "off",
+    });
+  });
+}
+
+export { app, callLog, rulesExtract, stateStore };
@@ -0,0 +1,31 @@
+import assert from "node:assert/strict";
+import { after, test } from "node:test";
+import { base, close, loadFixtures, replay } from "./harness.js";
+
+after(close);
+
+const auth = { headers: { Authorization: "Bearer test-admin-token" } };
+
+test("admin routes need the bearer token", async () => {
+  const resp = await fetch(`${base}/admin/calls`, { headers: { Authorization: "Bearer wrong" } });
+  assert.equal(resp.status, 401);
+});
+
+test("calls are listed, shown in full and exported", async () => {
+  const fixture = loadFixtures().find((f) => f.file === "out-of-area.json");
+  await replay(fixture);
+
+  const list = await (await fetch(`${base}/admin/calls`, auth)).json();
+  const item = list.calls[0];
+  assert.equal(item.stage_reached, "closed");
+  assert.equal(item.postcode, "M1 1AE");
+  assert.equal(item.outcome, "out_of_area_callback");
+
+  const call = await (await fetch(`${base}/admin/calls/${item.call_sid}`, auth)).json();
+  assert.deepEqual(call.transcript, fixture.turns.map((t) => t.say));
+
+  const csv = await (await fetch(`${base}/admin/calls/export?format=csv`, auth)).text();
+  const [header, row] = csv.trim().split("\r\n");
+  assert.ok(header.startsWith("call_sid,channel,started_at"));
+  assert.ok(row.startsWith(`${item.call_sid},voice,`));
+});
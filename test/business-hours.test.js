@@ -0,0 +1,28 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { isOpen, isWorkingDay, nextOpening, nextWorkingDay } from "../lib/business-hours.js";
+
+const weekday = { open: "08:00", close: "18:00" };
+const calendar = {
+  hours: { monday: weekday, tuesday: weekday, wednesday: weekday, thursday: weekday, friday: weekday, saturday: null, sunday: null },
+  holidays: new Map([["2026-12-25", "Christmas Day"], ["2026-12-28", "Boxing Day"]]),
+};
+
+test("open hours are checked in London time", () => {
+  // 08:30 BST on a Monday is 07:30 UTC
+  assert.equal(isOpen(calendar, new Date("2026-10-19T07:30:00Z")), true);
+  assert.equal(isOpen(calendar, new Date("2026-10-19T06:30:00Z")), false);
+  assert.equal(isOpen(calendar, new Date("2026-10-19T17:00:00Z")), false);
+});
+
+test("bank holidays and closed weekdays are not working days", () => {
+  assert.equal(isWorkingDay(calendar, "2026-12-24"), true);
+  assert.equal(isWorkingDay(calendar, "2026-12-25"), false);
+  assert.equal(isWorkingDay(calendar, "2026-12-26"), false);
+  assert.equal(nextWorkingDay(calendar, "2026-12-25"), "2026-12-29");
+});
+
+test("next opening is later today, or the next working day", () => {
+  assert.deepEqual(nextOpening(calendar, new Date("2026-10-19T06:00:00Z")), { date: "2026-10-19", time: "08:00" });
+  assert.deepEqual(nextOpening(calendar, new Date("2026-12-24T19:00:00Z")), { date: "2026-12-29", time: "08:00" });
+});
@@ -0,0 +1,41 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { createCircuitBreaker } from "../lib/circuit-breaker.js";
+
+function breakerAt(clock) {
+  return createCircuitBreaker({ failureThreshold: 2, cooldownMs: 1000, now: () => clock.now });
+}
+
+test("opens after repeated failures and lets one trial through after the cooldown", () => {
+  const clock = { now: 0 };
+  const breaker = breakerAt(clock);
+
+  breaker.failure();
+  assert.equal(breaker.canRequest(), true);
+  breaker.failure();
+  assert.equal(breaker.state(), "open");
+  assert.equal(breaker.canRequest(), false);
+
+  clock.now = 1000;
+  assert.equal(breaker.canRequest(), true);
+  assert.equal(breaker.canRequest(), false, "only one trial at a time");
+
+  breaker.success();
+  assert.equal(breaker.state(), "closed");
+  assert.equal(breaker.canRequest(), true);
+});
+
+test("a failed trial opens the circuit again straight away", () => {
+  const clock = { now: 0 };
+  const breaker = breakerAt(clock);
+
+  breaker.failure();
+  breaker.failure();
+  clock.now = 1500;
+  assert.equal(breaker.canRequest(), true);
+
+  breaker.failure();
+  assert.equal(breaker.state(), "open");
+  clock.now = 2000;
+  assert.equal(breaker.canRequest(), false);
+});
@@ -0,0 +1,42 @@
+import assert from "node:assert/strict";
+import { after, test } from "node:test";
+import { close, loadFixtures, replay } from "./harness.js";
+
+after(close);
+
+/*
+Each fixture in test/fixtures lists the caller's turns with what they should hear and the stage
+the call should be in afterwards, then the fields expected on the final quote. A fixture can stop
+the clock with "now" and check for a TwiML verb on a turn with "twiml_includes".
+*/
+for (const fixture of loadFixtures()) {
+  test(`${fixture.name} (${fixture.file})`, async () => {
+    const { turns, state } = await replay(fixture);
+
+    fixture.turns.forEach((expected, i) => {
+      const actual = turns[i + 1];
+      const where = `turn ${i + 1} "${expected.say}"`;
+
+      if (expected.hears) {
+        assert.ok(actual.spoken.includes(expected.hears), `${where}: expected to hear "${expected.hears}", heard "${actual.spoken}"`);
+      }
+      if (expected.stage) assert.equal(actual.stage, expected.stage, `${where}: stage`);
+      if (expected.hangs_up !== undefined) assert.equal(actual.hungUp, expected.hangs_up, `${where}: hang up`);
+      if (expected.twiml_includes) {
+        assert.ok(actual.twiml.includes(expected.twiml_includes), `${where}: expected TwiML with "${expected.twiml_includes}", got ${actual.twiml}`);
+      }
+    });
+
+    for (const [field, value] of Object.entries(fixture.quote || {})) {
+      assert.deepEqual(state.quote[field], value, `quote.${field}`);
+    }
+    // null means the field has no source, like a value the caller left out
+    for (const [field, source] of Object.entries(fixture.field_sources || {})) {
+      assert.equal(state.field_sources[field] ?? null, source, `field_sources.${field}`);
+    }
+    for (const text of fixture.notes_include || []) {
+      assert.ok(state.quote.notes.includes(text), `quote.notes should include "${text}", got "${state.quote.notes}"`);
+    }
+    if (fixture.outcome !== undefined) assert.equal(state.outcome, fixture.outcome, "outcome");
+  });
+}
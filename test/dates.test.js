@@ -0,0 +1,42 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { parseBookingRequest, parseTimeWindow } from "../lib/dates.js";
+
+// Wednesday 14 October 2026, 10:00 in London
+const now = new Date("2026-10-14T09:00:00Z");
+
+test("booking requests resolve to a date and window", () => {
+  const cases = [
+    ["14/03", "2027-03-14", null],
+    ["3/11 in the morning", "2026-11-03", "08:00-12:00"],
+    ["next Tuesday", "2026-10-20", null],
+    ["Tuesday week", "2026-10-27", null],
+    ["the 2nd after 2pm", "2026-11-02", "14:00-18:00"],
+    ["the 20th at 3", "2026-10-20", "15:00-16:00"],
+    ["14/03/2027", "2027-03-14", null],
+    ["14/03/2020 at 10am", null, "10:00-11:00"],
+    ["14/03/25", null, null],
+  ];
+
+  for (const [text, date, window] of cases) {
+    const parsed = parseBookingRequest(text, now);
+    assert.equal(parsed?.date ?? null, date, text);
+    assert.equal(parsed?.window ? `${parsed.window.start}-${parsed.window.end}` : null, window, text);
+  }
+});
+
+test("time windows need the time words, not a stray am or pm", () => {
+  const cases = [
+    ["I am free in the afternoon", "12:00-17:00"],
+    ["any time in the am", "08:00-12:00"],
+    ["at 3", "15:00-16:00"],
+    ["10am", "10:00-11:00"],
+    ["after two p.m.", "14:00-18:00"],
+    ["I am not sure", null],
+  ];
+
+  for (const [text, window] of cases) {
+    const parsed = parseTimeWindow(text);
+    assert.equal(parsed ? `${parsed.start}-${parsed.end}` : null, window, text);
+  }
+});
@@ -0,0 +1,54 @@
+import assert from "node:assert/strict";
+import { after, test } from "node:test";
+import { base, close, stateStore } from "./harness.js";
+
+after(close);
+
+function post(path, body, type = "application/x-www-form-urlencoded") {
+  return fetch(`${base}${path}`, {
+    method: "POST",
+    headers: { "Content-Type": type },
+    body: type === "application/json" ? JSON.stringify(body) : new URLSearchParams(body),
+  });
+}
+
+// Every route reads the state store first, so a store that throws fails the request part way
+async function withBrokenStore(run) {
+  const { get } = stateStore;
+  stateStore.get = async () => {
+    throw new Error("store unavailable");
+  };
+  try {
+    await run();
+  } finally {
+    stateStore.get = get;
+  }
+}
+
+test("a failing call webhook still gets TwiML that apologises and hangs up", async () => {
+  await withBrokenStore(async () => {
+    const resp = await post("/call/input", { CallSid: "CAbroken", SpeechResult: "home" });
+    const twiml = await resp.text();
+
+    assert.equal(resp.status, 200);
+    assert.ok(twiml.includes("Sorry, something went wrong on our side."), twiml);
+    assert.ok(twiml.includes("<Hangup/>"), twiml);
+  });
+});
+
+test("a failing text or chat gets a message or a JSON 500", async () => {
+  await withBrokenStore(async () => {
+    const sms = await post("/sms/inbound", { From: "+447700900666", To: "+441632960000", Body: "hi" });
+    assert.equal(sms.status, 200);
+    assert.match(await sms.text(), /<Message>Sorry, something went wrong on our side\./);
+
+    const chat = await post("/chat", { message: "hi" }, "application/json");
+    assert.equal(chat.status, 500);
+    assert.deepEqual(await chat.json(), { error: "Something went wrong" });
+  });
+});
+
+test("a body that won't parse is still a 400", async () => {
+  const resp = await fetch(`${base}/chat`, { method: "POST", headers: { "Content-Type": "application/json" }, body: "{" });
+  assert.equal(resp.status, 400);
+});
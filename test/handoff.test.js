@@ -0,0 +1,22 @@
+import assert from "node:assert/strict";
+import { after, test } from "node:test";
+
+// No staff number for this file's server; the harness keeps one that's already set
+process.env.HANDOFF_NUMBER = "";
+const { close, replay } = await import("./harness.js");
+
+after(close);
+
+test("asking for a person in opening hours with no staff number goes to voicemail without saying the office is closed", async () => {
+  const { turns } = await replay({
+    file: "handoff-no-number.json",
+    now: "2026-10-19T10:00:00Z",
+    turns: [{ say: "it's for my home" }, { say: "can I speak to a person please" }],
+  });
+
+  const { spoken, twiml } = turns.at(-1);
+  assert.ok(spoken.includes("there’s nobody free to take your call just now"), spoken);
+  assert.ok(!spoken.includes("closed"), spoken);
+  assert.ok(twiml.includes("<Record"), twiml);
+  assert.ok(!twiml.includes("<Dial"), twiml);
+});
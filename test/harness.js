@@ -0,0 +1,184 @@
+import axios from "axios";
+import { copyFileSync, mkdtempSync, readFileSync, readdirSync, rmSync } from "node:fs";
+import { createRequire } from "node:module";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { mock } from "node:test";
+
+/* =========================
+   Conversation test harness
+   Replays a fixture's caller utterances against /call/start and /call/input with a fake CallSid,
+   following redirects to /call/quote and /call/book like Twilio does. Every outgoing HTTP call
+   (OpenAI, the Make webhooks and Twilio's Messages API) is answered by a stub, so runs are
+   deterministic and offline.
+========================= */
+
+const QUOTE_WEBHOOK = "http://make.test/get-quote";
+const BOOKING_WEBHOOK = "http://make.test/confirm-booking";
+// The test tenant's own quote webhook gets the fixture's quote reply too
+const TENANT_QUOTE_WEBHOOK = "http://make.test/brightnest/get-quote";
+
+// The shipped tenants plus the test ones, so fixtures run against the real default tenant
+const tenantsDir = mkdtempSync(join(tmpdir(), "spark-tenants-"));
+for (const dir of [new URL("../config/tenants/", import.meta.url), new URL("./tenants/", import.meta.url)]) {
+  for (const name of readdirSync(dir).filter((n) => n.endsWith(".json"))) copyFileSync(new URL(name, dir), join(tenantsDir, name));
+}
+
+// Env is read when server.js is imported, so it has to be set first
+Object.assign(process.env, {
+  TENANTS_DIR: tenantsDir,
+  OPENAI_API_KEY: "test-key",
+  MAKE_GETQUOTE_WEBHOOK_URL: QUOTE_WEBHOOK,
+  MAKE_CONFIRMBOOKING_WEBHOOK_URL: BOOKING_WEBHOOK,
+  MAKE_WEBHOOK_RETRIES: "0",
+  STATE_STORE: "memory",
+  TWILIO_VALIDATE_SIGNATURE: "false",
+  ADMIN_API_TOKEN: "test-admin-token",
+  TWILIO_ACCOUNT_SID: "ACtest",
+  TWILIO_AUTH_TOKEN: "test-auth-token",
+  SMS_FROM: "+441632960001",
+  HANDOFF_NUMBER: process.env.HANDOFF_NUMBER ?? "+441632960888",
+  CHAT_RATE_LIMIT: "5",
+  LOG_LEVEL: "silent",
+});
+
+const { app, callLog, stateStore } = await import("../server.js");
+export { callLog, stateStore };
+
+let stubs = { openai: {}, webhooks: {} };
+
+// Every webhook request made during the last replay: { url, body }
+export const webhookCalls = [];
+
+// Every text sent through Twilio since the last replay started: { to, from, body }
+export const smsSent = [];
+
+/*
+OpenAI answers with the current quote plus the fixture's patch for that utterance (none by default),
+so the enhancer runs but only changes what the fixture says it should. A webhook with no reply in
+the fixture fails like Make being down.
+*/
+function respond(config) {
+  if (config.url.startsWith("https://api.twilio.com/")) {
+    const { To, From, Body } = Object.fromEntries(new URLSearchParams(config.data));
+    smsSent.push({ to: To, from: From, body: Body });
+    return { sid: `SM${smsSent.length}`, status: "queued" };
+  }
+
+  const body = JSON.parse(config.data || "{}");
+
+  if (config.url.startsWith("https://api.openai.com/")) {
+    const { current, last_user_utterance } = JSON.parse(body.input[1].content);
+    const patch = stubs.openai[last_user_utterance] || {};
+    return { output_text: JSON.stringify({ ...current, ...patch }) };
+  }
+
+  webhookCalls.push({ url: config.url, body });
+  const reply = {
+    [QUOTE_WEBHOOK]: stubs.webhooks.quote,
+    [TENANT_QUOTE_WEBHOOK]: stubs.webhooks.quote,
+    [BOOKING_WEBHOOK]: stubs.webhooks.booking,
+  }[config.url];
+  if (reply === undefined) throw new Error(`No stub reply for ${config.url}`);
+  return reply;
+}
+
+async function adapter(config) {
+  return { data: respond(config), status: 200, statusText: "OK", headers: {}, config, request: {} };
+}
+
+// twilio loads axios with require, which is a separate copy from the ES module
+axios.defaults.adapter = adapter;
+createRequire(import.meta.url)("axios").defaults.adapter = adapter;
+
+const server = app.listen(0);
+export const base = `http://127.0.0.1:${server.address().port}`;
+
+export function close() {
+  server.close();
+  stateStore.close();
+  callLog.close();
+  rmSync(tenantsDir, { recursive: true, force: true });
+}
+
+export function loadFixtures(dir = new URL("./fixtures/", import.meta.url)) {
+  return readdirSync(dir)
+    .filter((name) => name.endsWith(".json"))
+    .sort()
+    .map((name) => ({ file: name, ...JSON.parse(readFileSync(new URL(name, dir), "utf8")) }));
+}
+
+const ENTITIES = { "&amp;": "&", "&lt;": "<", "&gt;": ">", "&quot;": '"', "&apos;": "'" };
+
+// Everything the caller would hear, in order
+export function spokenText(twiml) {
+  return [...twiml.matchAll(/<Say[^>]*>([^<]*)<\/Say>/g)]
+    .map((m) => m[1].replace(/&(amp|lt|gt|quot|apos);/g, (e) => ENTITIES[e]))
+    .join(" ");
+}
+
+async function post(path, params) {
+  const resp = await fetch(`${base}${path}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams(params),
+  });
+  return resp.text();
+}
+
+// Posts one turn and follows pricing and booking redirects, returning what was said and the state after it
+async function turn(callSid, path, params = {}) {
+  let twiml = await post(path, { CallSid: callSid, ...params });
+  let spoken = spokenText(twiml);
+
+  for (let step = twiml.match(/<Redirect[^>]*>(\/call\/(?:quote|book))<\/Redirect>/); step; ) {
+    twiml = await post(step[1], { CallSid: callSid });
+    spoken += ` ${spokenText(twiml)}`;
+    step = twiml.match(/<Redirect[^>]*>(\/call\/(?:quote|book))<\/Redirect>/);
+  }
+
+  return { twiml, spoken, state: await stateStore.get(callSid) };
+}
+
+let callers = 0;
+
+/*
+Replays a fixture and returns one record per turn:
+  { say, spoken, stage, hungUp, twiml }
+plus the final state. Assertions live in the test so failures point at the fixture turn.
+Each replay rings from a new number unless one is given, so earlier calls aren't recognised.
+to is the number dialled, which picks the tenant. A fixture with "now" is replayed with the
+clock stopped at that time, so opening hours decide the same way on every run.
+*/
+export async function replay(
+  fixture,
+  { from = `+4477009${String(++callers).padStart(5, "0")}`, to = "+441632960000", hangUp = false } = {}
+) {
+  stubs = { openai: fixture.openai || {}, webhooks: fixture.webhooks || {} };
+  webhookCalls.length = 0;
+  smsSent.length = 0;
+  const callSid = `CA${fixture.file.replace(/\W/g, "")}${Date.now()}`;
+  if (fixture.now) mock.timers.enable({ apis: ["Date"], now: new Date(fixture.now) });
+  try {
+    return await replayCall(fixture, callSid, { from, to, hangUp });
+  } finally {
+    if (fixture.now) mock.timers.reset();
+  }
+}
+
+async function replayCall(fixture, callSid, { from, to, hangUp }) {
+  const start = await turn(callSid, "/call/start", { From: from, To: to });
+  const turns = [{ say: null, spoken: start.spoken, stage: start.state.stage, hungUp: false, twiml: start.twiml }];
+
+  let state = start.state;
+  for (const { say } of fixture.turns) {
+    const result = await turn(callSid, "/call/input", { From: from, To: to, SpeechResult: say });
+    state = result.state;
+    turns.push({ say, spoken: result.spoken, stage: state.stage, hungUp: result.twiml.includes("<Hangup/>"), twiml: result.twiml });
+  }
+
+  // hangUp ends the call the way Twilio's status callback does, so it is remembered for next time
+  if (hangUp) await post("/call/status", { CallSid: callSid, From: from, To: to, CallStatus: "completed" });
+  else await stateStore.delete(callSid);
+  return { turns, state };
+}
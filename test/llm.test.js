@@ -0,0 +1,48 @@
+import assert from "node:assert/strict";
+import axios from "axios";
+import { test } from "node:test";
+import { createLlmProvider } from "../lib/llm.js";
+
+const request = {
+  system: "Return JSON.",
+  user: "{}",
+  schema: { type: "object" },
+  current: { postcode: "" },
+  utterance: "SW1A 1AA",
+};
+
+function stubAxios(data) {
+  const sent = [];
+  axios.defaults.adapter = async (config) => {
+    sent.push(config);
+    return { data, status: 200, statusText: "OK", headers: {}, config, request: {} };
+  };
+  return sent;
+}
+
+test("openai is off without an API key, and unknown providers are rejected", () => {
+  assert.equal(createLlmProvider({ provider: "openai" }), null);
+  assert.equal(createLlmProvider({ provider: "off", apiKey: "sk-test" }), null);
+  assert.throws(() => createLlmProvider({ provider: "claude" }), /Unknown LLM_PROVIDER/);
+  assert.throws(() => createLlmProvider({ provider: "openai-compatible", model: "llama3" }), /LLM_BASE_URL/);
+});
+
+test("openai-compatible posts chat completions to the base URL with the same schema", async () => {
+  const sent = stubAxios({ choices: [{ message: { content: '{"postcode":"SW1A 1AA"}' } }] });
+  const llm = createLlmProvider({ provider: "openai-compatible", baseUrl: "http://llm.local:8000/v1/", model: "llama3", timeoutMs: 500 });
+
+  assert.equal(await llm.complete(request), '{"postcode":"SW1A 1AA"}');
+  assert.equal(sent[0].url, "http://llm.local:8000/v1/chat/completions");
+  assert.equal(sent[0].timeout, 500);
+  assert.equal(sent[0].headers.Authorization, undefined);
+
+  const body = JSON.parse(sent[0].data);
+  assert.equal(body.model, "llama3");
+  assert.deepEqual(body.response_format.json_schema.schema, request.schema);
+});
+
+test("rules answers offline from the extractor, keeping the current quote", async () => {
+  const llm = createLlmProvider({ provider: "rules", extract: (current, utterance) => ({ postcode: utterance }) });
+  assert.equal(llm.name, "rules");
+  assert.deepEqual(JSON.parse(await llm.complete(request)), { postcode: "SW1A 1AA" });
+});
@@ -0,0 +1,45 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { createLogger, maskPhone, maskPostcode, redact } from "../lib/logger.js";
+
+test("phone numbers keep only their ends", () => {
+  assert.equal(maskPhone("+447700900123"), "+44*******123");
+  assert.equal(maskPhone("whatsapp:+447700900123"), "whatsapp:+44*******123");
+});
+
+test("postcodes keep only the district", () => {
+  assert.equal(maskPostcode("SW1A 1AA"), "SW1A ***");
+  assert.equal(maskPostcode("sw1a1aa"), "sw1a ***");
+  assert.equal(maskPostcode("SW1A"), "SW1A");
+});
+
+test("fields are redacted by key, nested included", () => {
+  const fields = redact({
+    call_sid: "CA1234567890",
+    from: "+447700900123",
+    booking: { name: "Jane Smith", date: "2026-10-20" },
+    quote: { postcode: "E1 6AN", bedrooms: 2 },
+    utterance: "call me on 07700 900456 at E1 6AN",
+  });
+
+  assert.deepEqual(fields, {
+    call_sid: "CA1234567890",
+    from: "+44*******123",
+    booking: { name: "[redacted]", date: "2026-10-20" },
+    quote: { postcode: "E1 ***", bedrooms: 2 },
+    utterance: "call me on 077*****456 at E1 ***",
+  });
+});
+
+test("lines below the level are dropped", () => {
+  const lines = [];
+  const log = createLogger({ level: "warn", write: (line) => lines.push(JSON.parse(line)) });
+
+  log.info("turn", { stage_before: "need_category" });
+  log.warn("webhook_failed", { host: "hook.make.com", caller: "+447700900123" });
+
+  assert.equal(lines.length, 1);
+  assert.equal(lines[0].event, "webhook_failed");
+  assert.equal(lines[0].level, "warn");
+  assert.equal(lines[0].caller, "+44*******123");
+});
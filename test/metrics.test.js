@@ -0,0 +1,44 @@
+import assert from "node:assert/strict";
+import { after, test } from "node:test";
+import { createMetrics } from "../lib/metrics.js";
+import { base, close, loadFixtures, replay } from "./harness.js";
+
+after(close);
+
+test("counters and histograms render in the Prometheus text format", () => {
+  const metrics = createMetrics();
+  const calls = metrics.counter("calls_total", "Calls", ["channel"]);
+  const latency = metrics.histogram("latency_seconds", "Latency", [1, 0.5]);
+
+  calls.inc({ channel: "voice" });
+  calls.inc({ channel: "voice" });
+  calls.inc({ channel: 'say "hi"' });
+  latency.observe(0.2);
+  latency.observe(0.7);
+  latency.observe(3);
+
+  const text = metrics.render();
+  assert.match(text, /^# HELP calls_total Calls\n# TYPE calls_total counter\n/);
+  assert.match(text, /^calls_total\{channel="voice"\} 2$/m);
+  assert.match(text, /^calls_total\{channel="say \\"hi\\""\} 1$/m);
+  assert.match(text, /^latency_seconds_bucket\{le="0.5"\} 1$/m);
+  assert.match(text, /^latency_seconds_bucket\{le="1"\} 2$/m);
+  assert.match(text, /^latency_seconds_bucket\{le="\+Inf"\} 3$/m);
+  assert.match(text, /^latency_seconds_sum 3.9$/m);
+  assert.match(text, /^latency_seconds_count 3$/m);
+});
+
+test("/metrics counts the funnel, postcode captures and AI calls", async () => {
+  await replay(loadFixtures().find((f) => f.file === "postcode-near-miss.json"));
+
+  const resp = await fetch(`${base}/metrics`);
+  assert.match(resp.headers.get("content-type"), /^text\/plain;.*version=0\.0\.4/);
+
+  const text = await resp.text();
+  assert.match(text, /^spark_calls_started_total\{channel="voice"\} 1$/m);
+  assert.match(text, /^spark_stage_reached_total\{stage="need_category"\} 1$/m);
+  assert.match(text, /^spark_stage_reached_total\{stage="confirm_postcode"\} 1$/m);
+  assert.match(text, /^spark_postcode_results_total\{result="confirmed"\} 1$/m);
+  assert.match(text, /^spark_ai_enhance_results_total\{result="ok"\} \d+$/m);
+  assert.match(text, /^spark_ai_enhance_duration_seconds_count \d+$/m);
+});
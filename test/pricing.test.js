@@ -0,0 +1,72 @@
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { test } from "node:test";
+import { estimatePrice } from "../lib/pricing.js";
+
+const rateCard = JSON.parse(readFileSync(new URL("../config/rate-card.json", import.meta.url), "utf8"));
+
+// Same shape as GetQuoteSchema
+function quote(fields) {
+  return {
+    intent: "get_quote",
+    service_category: "domestic",
+    domestic_service_type: "",
+    commercial_service_type: "",
+    domestic_property_type: "",
+    commercial_property_type: "",
+    job_type: "",
+    bedrooms: 0,
+    bathrooms: 0,
+    toilets: 0,
+    kitchens: 0,
+    postcode: "SW1A 1AA",
+    preferred_hours: 0,
+    visit_frequency_per_week: 0,
+    areas_scope: "",
+    extras: [],
+    notes: "",
+    ...fields,
+  };
+}
+
+test("domestic price adds rooms and extras to the service base", () => {
+  const estimate = estimatePrice(
+    quote({ domestic_service_type: "Deep Clean", bedrooms: 3, bathrooms: 2, kitchens: 1, extras: [{ name: "Carpet clean", quantity: 2 }] }),
+    rateCard
+  );
+
+  // 110 + 3*30 + 2*25 + 30 + 2*35 = 350, then ±15% rounded out to £5
+  assert.deepEqual(estimate.breakdown, { visit: 280, visits: 1, extras: 70, total: 350 });
+  assert.equal(estimate.low, 295);
+  assert.equal(estimate.high, 405);
+  assert.equal(estimate.basis, "per visit");
+});
+
+test("commercial price is hourly rate times hours times visits per week", () => {
+  const estimate = estimatePrice(
+    quote({ service_category: "commercial", commercial_service_type: "Regular Commercial Cleaning", preferred_hours: 3, visit_frequency_per_week: 5 }),
+    rateCard
+  );
+
+  assert.equal(estimate.breakdown.total, 18 * 3 * 5);
+  assert.equal(estimate.basis, "per week");
+});
+
+test("unknown services and extras use the default rates, and small jobs the minimum", () => {
+  const estimate = estimatePrice(quote({ domestic_service_type: "Window sparkle", extras: [{ name: "Garage", quantity: 1 }] }), rateCard);
+  assert.equal(estimate.breakdown.total, rateCard.domestic.base.default + rateCard.extras.default);
+
+  const small = estimatePrice(quote({ service_category: "commercial", commercial_service_type: "Regular Commercial Cleaning" }), rateCard);
+  assert.equal(small.breakdown.total, rateCard.minimum);
+});
+
+test("fortnightly and monthly work is priced for one visit per period, not halved", () => {
+  const fields = { service_category: "commercial", commercial_service_type: "Deep Clean", preferred_hours: 4 };
+  const fortnightly = estimatePrice(quote({ ...fields, visit_frequency_per_week: 0.5 }), rateCard);
+  const monthly = estimatePrice(quote({ ...fields, visit_frequency_per_week: 0.25 }), rateCard);
+
+  assert.equal(fortnightly.breakdown.total, 28 * 4);
+  assert.equal(fortnightly.basis, "per fortnight");
+  assert.equal(monthly.breakdown.total, 28 * 4);
+  assert.equal(monthly.basis, "per month");
+});
@@ -0,0 +1,17 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { createRateLimiter } from "../lib/rate-limit.js";
+
+test("refuses a key over the limit until its window ends", () => {
+  const clock = { now: 0 };
+  const limiter = createRateLimiter({ limit: 2, windowMs: 1000, now: () => clock.now });
+
+  assert.equal(limiter.take("a").allowed, true);
+  assert.equal(limiter.take("a").allowed, true);
+  clock.now = 400;
+  assert.deepEqual(limiter.take("a"), { allowed: false, retryAfterMs: 600 });
+  assert.equal(limiter.take("b").allowed, true, "other keys have their own count");
+
+  clock.now = 1000;
+  assert.equal(limiter.take("a").allowed, true);
+});
@@ -0,0 +1,61 @@
+import assert from "node:assert/strict";
+import { after, test } from "node:test";
+import { close, loadFixtures, replay } from "./harness.js";
+
+after(close);
+
+const firstCall = loadFixtures().find((f) => f.file === "domestic-booked.json");
+
+test("a returning caller who confirms their address skips the property and postcode questions", async () => {
+  const from = "+447700900997";
+  await replay(firstCall, { from, hangUp: true });
+
+  const { turns, state } = await replay(
+    {
+      file: "returning.json",
+      turns: [{ say: "yes same address" }, { say: "regular cleaning" }],
+    },
+    { from }
+  );
+
+  assert.equal(turns[0].stage, "confirm_returning");
+  assert.ok(turns[0].spoken.includes("welcome back"), turns[0].spoken);
+  assert.ok(turns[0].spoken.includes("Is it for the same address as last time, SW1A 1AA?"), turns[0].spoken);
+  assert.equal(turns[1].stage, "need_service_type");
+  assert.equal(turns[2].stage, "need_rooms");
+
+  assert.equal(state.quote.domestic_property_type, "Semi-detached house");
+  assert.equal(state.quote.postcode, "SW1A 1AA");
+  assert.deepEqual(state.field_sources, {
+    service_category: "caller",
+    domestic_property_type: "caller",
+    postcode: "caller",
+    domestic_service_type: "detector",
+  });
+  assert.equal(state.returning.services.at(-1).outcome, "booked");
+});
+
+test("a returning caller at a new address is asked everything", async () => {
+  const from = "+447700900998";
+  await replay(firstCall, { from, hangUp: true });
+
+  const { turns, state } = await replay(
+    {
+      file: "returning-moved.json",
+      turns: [{ say: "no, it's for my office now" }],
+    },
+    { from }
+  );
+
+  assert.equal(turns[1].stage, "need_service_type");
+  assert.equal(state.quote.service_category, "commercial");
+  assert.equal(state.quote.postcode, "");
+});
+
+test("withheld numbers are never remembered", async () => {
+  for (const from of ["anonymous", "restricted", "+266696687", "07700900999"]) {
+    await replay(firstCall, { from, hangUp: true });
+    const { turns } = await replay({ file: "withheld.json", turns: [] }, { from });
+    assert.equal(turns[0].stage, "need_category", from);
+  }
+});
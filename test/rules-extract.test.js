@@ -0,0 +1,29 @@
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { after, test } from "node:test";
+import { close } from "./harness.js";
+
+// The harness sets the env server.js reads, so it has to be imported first
+const { rulesExtract } = await import("../server.js");
+
+after(close);
+
+const { services } = JSON.parse(readFileSync(new URL("../config/tenants/totalspark.json", import.meta.url), "utf8"));
+const newCall = { service_category: "domestic", domestic_service_type: "", commercial_service_type: "", postcode: "" };
+
+test("the rules extractor takes the category from what was said over the starting default", () => {
+  assert.deepEqual(rulesExtract(newCall, "we need a deep clean of our office", services), {
+    service_category: "commercial",
+    commercial_service_type: "Deep Clean",
+    commercial_property_type: "Office",
+  });
+});
+
+test("the rules extractor only fills the call's own category", () => {
+  const commercial = { ...newCall, service_category: "commercial" };
+  assert.deepEqual(rulesExtract(commercial, "a deep clean please", services), { commercial_service_type: "Deep Clean" });
+  assert.deepEqual(rulesExtract(newCall, "a deep clean of my flat", services), {
+    domestic_service_type: "Deep Clean",
+    domestic_property_type: "Flat",
+  });
+});
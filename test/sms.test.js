@@ -0,0 +1,97 @@
+import assert from "node:assert/strict";
+import { after, test } from "node:test";
+import { createSmsSender, isNewerStatus, renderTemplate } from "../lib/sms.js";
+import { base, callLog, close, loadFixtures, replay, smsSent } from "./harness.js";
+
+after(close);
+
+test("templates fill placeholders and drop lines with nothing to show", () => {
+  const template = "Your quote:\nService: {{service}}\nPostcode: {{ postcode }}\nBook online: {{booking_link}}";
+  const text = renderTemplate(template, { service: "Deep Clean", postcode: "SW1A 1AA", booking_link: "" });
+  assert.equal(text, "Your quote:\nService: Deep Clean\nPostcode: SW1A 1AA");
+});
+
+test("the sender uses a Messaging Service when given one", async () => {
+  const sent = [];
+  const client = { messages: { create: async (params) => (sent.push(params), { sid: "SM1", status: "queued" }) } };
+
+  const sender = createSmsSender({ client, from: "MG123", statusCallbackFor: (sid) => `https://spark.test/sms/status?call_sid=${sid}` });
+  assert.deepEqual(await sender.send("+447700900123", "Hi", "CA1"), { sid: "SM1", status: "queued" });
+  assert.deepEqual(sent[0], {
+    to: "+447700900123",
+    body: "Hi",
+    messagingServiceSid: "MG123",
+    statusCallback: "https://spark.test/sms/status?call_sid=CA1",
+  });
+});
+
+async function postStatus(callSid, params) {
+  return fetch(`${base}/sms/status?call_sid=${callSid}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams(params),
+  });
+}
+
+test("delivery status is written back to the call record, never going backwards", async () => {
+  const sms = { kind: "quoted", to: "+447700900123", sid: "SM42", status: "queued", error_code: null };
+  await callLog.save({ call_sid: "CAsms1", started_at: new Date().toISOString(), follow_up_sms: sms });
+
+  assert.equal((await postStatus("CAsms1", { MessageSid: "SM42", MessageStatus: "delivered" })).status, 204);
+  await postStatus("CAsms1", { MessageSid: "SM42", MessageStatus: "sent" });
+  await postStatus("CAsms1", { MessageSid: "SM99", MessageStatus: "failed" });
+
+  const call = await callLog.get("CAsms1");
+  assert.equal(call.follow_up_sms.status, "delivered");
+  assert.equal(call.follow_up_sms.sid, "SM42");
+});
+
+test("read and canceled come after delivery, scheduled before sending", () => {
+  assert.equal(isNewerStatus("read", "delivered"), true);
+  assert.equal(isNewerStatus("delivered", "read"), false);
+  assert.equal(isNewerStatus("queued", "scheduled"), true);
+  assert.equal(isNewerStatus("canceled", "scheduled"), true);
+});
+
+const fixtures = loadFixtures();
+const fixture = (file) => fixtures.find((f) => f.file === file);
+
+test("a finished phone call is followed by a text for how it ended", async () => {
+  const cases = [
+    [
+      "domestic-booked.json",
+      "Thanks for booking with TotalSpark Solutions.",
+      ["Service: Deep Clean", "Postcode: SW1A 1AA", "Price: £185", "Reference: SPK4821"],
+    ],
+    ["ai-field-confirmation.json", "Here’s your quote:", ["Property: Flat", "Postcode: SW1A 1AA", "Price: £150"]],
+    ["handoff-voicemail.json", "A member of the team will be in touch shortly.", ["Service: Deep Clean"]],
+  ];
+
+  for (const [i, [file, opening, lines]] of cases.entries()) {
+    const from = `+44770090044${i}`;
+    const { state } = await replay(fixture(file), { from, hangUp: true });
+
+    assert.equal(smsSent.length, 1, file);
+    assert.equal(smsSent[0].to, from);
+    assert.equal(smsSent[0].from, "+441632960001");
+    assert.ok(smsSent[0].body.includes(opening), smsSent[0].body);
+    for (const line of lines) assert.ok(smsSent[0].body.split("\n").includes(line), `${file}: ${smsSent[0].body}`);
+    assert.equal(state.follow_up_sms.sid, "SM1");
+  }
+});
+
+test("text conversations are not followed up with another text", async () => {
+  const text = (Body) =>
+    fetch(`${base}/sms/inbound`, {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: new URLSearchParams({ From: "+447700900445", To: "+441632960000", Body }),
+    });
+
+  smsSent.length = 0;
+  await text("hello");
+  const twiml = await (await text("can I speak to someone please")).text();
+
+  assert.ok(twiml.includes("passed your details to the team"), twiml);
+  assert.equal(smsSent.length, 0);
+});
@@ -0,0 +1,99 @@
+import assert from "node:assert/strict";
+import { mkdtempSync, readdirSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { afterEach, beforeEach, mock, test } from "node:test";
+import { createFileStateStore, createMemoryStateStore } from "../lib/state-store.js";
+
+const MINUTE = 60 * 1000;
+
+beforeEach(() => mock.timers.enable({ apis: ["Date"], now: 0 }));
+afterEach(() => mock.timers.reset());
+
+const backends = {
+  memory: () => ({ store: createMemoryStateStore({ ttlMs: 10 * MINUTE, maxAgeMs: 30 * MINUTE }), cleanup() {} }),
+  file: () => {
+    const dir = mkdtempSync(join(tmpdir(), "spark-state-"));
+    return {
+      dir,
+      store: createFileStateStore({ dir, ttlMs: 10 * MINUTE, maxAgeMs: 30 * MINUTE }),
+      cleanup: () => rmSync(dir, { recursive: true, force: true }),
+    };
+  },
+};
+
+for (const [kind, create] of Object.entries(backends)) {
+  test(`${kind} store keeps, replaces and deletes state`, async () => {
+    const { store, cleanup } = create();
+    try {
+      assert.equal(await store.get("CA1"), null);
+      await store.set("CA1", { stage: "need_category" });
+      await store.set("CA1", { stage: "need_postcode" });
+      assert.deepEqual(await store.get("CA1"), { stage: "need_postcode" });
+
+      await store.delete("CA1");
+      assert.equal(await store.get("CA1"), null);
+    } finally {
+      store.close();
+      cleanup();
+    }
+  });
+
+  test(`${kind} store expires state after the TTL without a write`, async () => {
+    const { store, cleanup } = create();
+    try {
+      await store.set("CA1", { stage: "need_category" });
+      mock.timers.tick(10 * MINUTE);
+      assert.ok(await store.get("CA1"), "still there at exactly the TTL");
+
+      mock.timers.tick(1);
+      assert.equal(await store.get("CA1"), null);
+    } finally {
+      store.close();
+      cleanup();
+    }
+  });
+
+  test(`${kind} store expires busy state after the max age`, async () => {
+    const { store, cleanup } = create();
+    try {
+      for (let i = 0; i < 4; i++) {
+        await store.set("CA1", { turn: i });
+        mock.timers.tick(8 * MINUTE);
+      }
+      // Written 8 minutes ago, so inside the TTL, but created 32 minutes ago
+      assert.equal(await store.get("CA1"), null);
+    } finally {
+      store.close();
+      cleanup();
+    }
+  });
+
+  test(`${kind} store sweeps only expired entries`, async () => {
+    const { store, cleanup, dir } = create();
+    try {
+      await store.set("CAold", { stage: "need_category" });
+      mock.timers.tick(11 * MINUTE);
+      await store.set("CAnew", { stage: "need_category" });
+
+      assert.equal(await store.sweep(), 1);
+      assert.equal(await store.get("CAold"), null);
+      assert.ok(await store.get("CAnew"));
+      if (dir) assert.deepEqual(readdirSync(dir), ["CAnew.json"]);
+    } finally {
+      store.close();
+      cleanup();
+    }
+  });
+}
+
+test("file store never writes outside its folder", async () => {
+  const { store, cleanup, dir } = backends.file();
+  try {
+    await store.set("../../escape", { stage: "need_category" });
+    assert.deepEqual(readdirSync(dir), ["______escape.json"]);
+  } finally {
+    store.close();
+    cleanup();
+  }
+});
@@ -0,0 +1,103 @@
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, test } from "node:test";
+import { base, close, replay, webhookCalls } from "./harness.js";
+
+after(close);
+
+const BRIGHTNEST = "+441632960999";
+
+test("the dialled number picks the tenant's greeting, voice, hints and services", async () => {
+  const { turns, state } = await replay(
+    {
+      file: "tenant-brightnest.json",
+      turns: [{ say: "it's for my home" }, { say: "a spring clean please" }],
+    },
+    { to: BRIGHTNEST }
+  );
+
+  assert.ok(turns[0].spoken.startsWith("Hello, BrightNest Cleaning here."), turns[0].spoken);
+  assert.ok(turns[0].twiml.includes('voice="Polly.Emma"'), turns[0].twiml);
+  assert.ok(turns[1].spoken.includes("Would you like a spring clean or a deep clean?"), turns[1].spoken);
+  assert.ok(turns[1].twiml.includes('hints="spring clean, deep clean, home, business"'), turns[1].twiml);
+
+  assert.equal(turns[2].stage, "need_property_type");
+  assert.equal(state.tenant, "brightnest");
+  assert.equal(state.quote.domestic_service_type, "Spring Clean");
+});
+
+test("a tenant's quotes go to its own webhook, and it reads the price and says goodbye its own way", async () => {
+  const { turns } = await replay(
+    {
+      file: "tenant-brightnest-quote.json",
+      webhooks: { quote: { price: 140 } },
+      turns: [
+        { say: "it's for my home" },
+        { say: "a deep clean" },
+        { say: "a flat" },
+        { say: "S W 1 A 1 A A" },
+        { say: "two bed, one bath" },
+        { say: "one toilet and one kitchen" },
+        { say: "no thanks" },
+        { say: "yes that's right" },
+        { say: "no thanks" },
+      ],
+    },
+    { to: BRIGHTNEST }
+  );
+
+  const quoteCall = webhookCalls.find((c) => c.url === "http://make.test/brightnest/get-quote");
+  assert.ok(quoteCall, JSON.stringify(webhookCalls.map((c) => c.url)));
+  assert.equal(quoteCall.body.tenant, "brightnest");
+  assert.ok(turns[7].spoken.includes("Just to check, that’s a deep clean of a 2-bed flat in SW1A 1AA"), turns[7].spoken);
+  assert.ok(turns[8].spoken.includes("Thanks for waiting. That’ll be £140. Shall we get you booked in?"), turns[8].spoken);
+  assert.ok(turns.at(-1).spoken.endsWith("Thanks for choosing BrightNest Cleaning. Bye for now."), turns.at(-1).spoken);
+});
+
+test("a tenant's own voicemail line is used, with the rest from the default tenant", async () => {
+  const resp = await fetch(`${base}/call/handoff`, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams({ CallSid: "CAbrightnest", To: BRIGHTNEST, DialCallStatus: "no-answer" }),
+  });
+  const twiml = await resp.text();
+
+  assert.ok(twiml.includes("Sorry, everyone at BrightNest Cleaning is busy. Please leave a message after the tone."), twiml);
+  assert.ok(twiml.includes("I didn’t get a message. We’ll call you back. Goodbye."), twiml);
+  assert.ok(twiml.includes('voice="Polly.Emma"'), twiml);
+});
+
+test("any other number gets the default tenant", async () => {
+  const { turns, state } = await replay({ file: "tenant-default.json", turns: [] }, { to: "+441632960123" });
+
+  assert.equal(state.tenant, "totalspark");
+  assert.ok(turns[0].spoken.startsWith("Hi, you’re through to TotalSpark Solutions."), turns[0].spoken);
+});
+
+test("web chat picks a tenant by id", async () => {
+  const chat = (body) =>
+    fetch(`${base}/chat`, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) });
+
+  const resp = await chat({ tenant: "brightnest", message: "" });
+  assert.ok((await resp.json()).reply.startsWith("Hello, BrightNest Cleaning here."));
+  assert.equal((await chat({ tenant: "nobody", message: "" })).status, 400);
+});
+
+test("an invalid tenant file stops the server from starting", () => {
+  const dir = mkdtempSync(join(tmpdir(), "spark-bad-tenants-"));
+  writeFileSync(join(dir, "broken.json"), JSON.stringify({ id: "broken", business_name: "", numbers: ["01632 960000"] }));
+
+  const run = spawnSync(process.execPath, ["--input-type=module", "-e", 'await import("./server.js")'], {
+    cwd: new URL("..", import.meta.url),
+    env: { ...process.env, TENANTS_DIR: dir, LOG_LEVEL: "silent" },
+    encoding: "utf8",
+    timeout: 20_000,
+  });
+  rmSync(dir, { recursive: true, force: true });
+
+  assert.notEqual(run.status, 0);
+  assert.match(run.stderr, /Tenant file broken\.json is invalid/);
+});
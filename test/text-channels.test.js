@@ -0,0 +1,88 @@
+import assert from "node:assert/strict";
+import { after, test } from "node:test";
+import { base, close } from "./harness.js";
+
+after(close);
+
+function text(From, To, Body) {
+  return fetch(`${base}/sms/inbound`, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams({ From, To, Body }),
+  }).then((resp) => resp.text());
+}
+
+function chat(body, ip = "203.0.113.1") {
+  return fetch(`${base}/chat`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "X-Forwarded-For": ip },
+    body: JSON.stringify(body),
+  });
+}
+
+test("a first chat message that says what's needed is answered after the greeting", async () => {
+  const { reply, stage } = await (await chat({ message: "I need a cleaner for my flat" })).json();
+
+  assert.equal(stage, "need_service_type");
+  assert.ok(reply.startsWith("Hi, you’re through to TotalSpark Solutions."), reply);
+  assert.ok(!reply.includes("home or for a business"), reply);
+});
+
+test("a first chat message that only says hello gets the greeting and first question", async () => {
+  const { reply, stage } = await (await chat({ message: "Hello!" }, "203.0.113.2")).json();
+
+  assert.equal(stage, "need_category");
+  assert.ok(reply.endsWith("Is the cleaning for a home or for a business premises?"), reply);
+});
+
+test("a first text is answered after the greeting too", async () => {
+  const twiml = await text("+447700900555", "+441632960000", "it's for our office");
+
+  assert.ok(twiml.includes("Hi, you’re through to TotalSpark Solutions."), twiml);
+  assert.ok(twiml.includes("What type of commercial cleaning do you need?"), twiml);
+});
+
+test("texting a second brand from the same phone starts a conversation with that brand", async () => {
+  await text("+447700900666", "+441632960000", "it's for our office");
+  const twiml = await text("+447700900666", "+441632960999", "it's for my home");
+
+  assert.ok(twiml.includes("Hello, BrightNest Cleaning here."), twiml);
+  assert.ok(twiml.includes("Would you like a spring clean or a deep clean?"), twiml);
+});
+
+test("going back after a postcode fallback in chat returns to the fallback, then the postcode", async () => {
+  let session_id;
+  const send = async (message, i) => {
+    const body = await (await chat({ session_id, message }, `198.51.100.${i}`)).json();
+    session_id = body.session_id;
+    return body;
+  };
+
+  const answers = ["it's for my home", "end of tenancy", "a flat", "not sure", "erm", "no idea", "Leeds, near the station"];
+  for (const [i, message] of answers.entries()) await send(message, i + 1);
+
+  const fallback = await send("go back", 20);
+  assert.equal(fallback.stage, "postcode_fallback");
+  assert.ok(fallback.reply.includes("What town are you in"), fallback.reply);
+
+  const postcode = await send("go back again", 21);
+  assert.equal(postcode.stage, "need_postcode");
+  assert.ok(postcode.reply.includes("What’s the postcode?"), postcode.reply);
+});
+
+test("chat messages over the per-IP limit are refused", async () => {
+  const ip = "203.0.113.3";
+  for (let i = 0; i < 5; i++) assert.equal((await chat({ message: "" }, ip)).status, 200);
+
+  const refused = await chat({ message: "" }, ip);
+  assert.equal(refused.status, 429);
+  assert.ok(Number(refused.headers.get("retry-after")) > 0);
+  assert.equal((await chat({ message: "" }, "203.0.113.4")).status, 200, "other clients are unaffected");
+});
+
+test("a client can't dodge the limit by making up its own X-Forwarded-For", async () => {
+  // The proxy appends the real address after whatever the client sent
+  const statuses = [];
+  for (let i = 0; i < 6; i++) statuses.push((await chat({ message: "" }, `10.0.0.${i}, 203.0.113.5`)).status);
+  assert.deepEqual(statuses, [200, 200, 200, 200, 200, 429]);
+});
@@ -0,0 +1,65 @@
+import assert from "node:assert/strict";
+import { after, test } from "node:test";
+import express from "express";
+import twilio from "twilio";
+import { twilioSignatureMiddleware } from "../lib/twilio-signature.js";
+
+const AUTH_TOKEN = "test-auth-token";
+const PUBLIC_BASE_URL = "https://spark.example.com";
+const params = { CallSid: "CA123", From: "+447700900123", SpeechResult: "a flat" };
+
+function serve(options) {
+  const app = express();
+  app.set("trust proxy", true);
+  app.use(express.urlencoded({ extended: true }));
+  app.use("/call", twilioSignatureMiddleware({ authToken: AUTH_TOKEN, ...options }));
+  app.post("/call/input", (req, res) => res.send("ok"));
+
+  const server = app.listen(0);
+  return { server, url: `http://127.0.0.1:${server.address().port}` };
+}
+
+const behindProxy = serve({ publicBaseUrl: PUBLIC_BASE_URL });
+const direct = serve({});
+after(() => {
+  behindProxy.server.close();
+  direct.server.close();
+});
+
+function post(base, signature, body = params, headers = {}) {
+  return fetch(`${base}/call/input?attempt=1`, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded", "X-Twilio-Signature": signature, ...headers },
+    body: new URLSearchParams(body),
+  });
+}
+
+test("accepts a request signed for the public URL, query string included", async () => {
+  const signature = twilio.getExpectedTwilioSignature(AUTH_TOKEN, `${PUBLIC_BASE_URL}/call/input?attempt=1`, params);
+  const resp = await post(behindProxy.url, signature);
+  assert.equal(resp.status, 200);
+});
+
+test("rejects a missing or wrong signature with a 403", async () => {
+  const signature = twilio.getExpectedTwilioSignature(AUTH_TOKEN, `${PUBLIC_BASE_URL}/call/input?attempt=1`, params);
+  const local = twilio.getExpectedTwilioSignature(AUTH_TOKEN, `${behindProxy.url}/call/input?attempt=1`, params);
+  const otherToken = twilio.getExpectedTwilioSignature("other-token", `${PUBLIC_BASE_URL}/call/input?attempt=1`, params);
+
+  assert.equal((await post(behindProxy.url, "")).status, 403);
+  assert.equal((await post(behindProxy.url, local)).status, 403, "signed for the internal URL, not the public one");
+  assert.equal((await post(behindProxy.url, signature, { ...params, SpeechResult: "a house" })).status, 403, "params changed");
+  assert.equal((await post(behindProxy.url, otherToken)).status, 403, "signed with another account's token");
+});
+
+test("without PUBLIC_BASE_URL the URL is rebuilt from the forwarded protocol and host", async () => {
+  const signature = twilio.getExpectedTwilioSignature(AUTH_TOKEN, "https://quotes.example.org/call/input?attempt=1", params);
+  const headers = { "X-Forwarded-Proto": "https", "X-Forwarded-Host": "quotes.example.org" };
+
+  assert.equal((await post(direct.url, signature, params, headers)).status, 200);
+  assert.equal((await post(direct.url, signature)).status, 403);
+});
+
+test("a missing auth token stops startup unless validation is switched off", () => {
+  assert.throws(() => twilioSignatureMiddleware({ authToken: "" }), /TWILIO_AUTH_TOKEN is required/);
+  assert.equal(typeof twilioSignatureMiddleware({ authToken: "", enabled: false }), "function");
+});